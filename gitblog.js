@@ -1,4 +1,5 @@
-(function (console) { "use strict";
+(function (console, $hx_exports) { "use strict";
+$hx_exports.gitblog = $hx_exports.gitblog || {};
 var $estr = function() { return js_Boot.__string_rec(this,''); };
 function $extend(from, fields) {
 	function Inherit() {} Inherit.prototype = from; var proto = new Inherit();
@@ -6,6 +7,80 @@ function $extend(from, fields) {
 	if( fields.toString !== Object.prototype.toString ) proto.toString = fields.toString;
 	return proto;
 }
+var DateTools = function() { };
+DateTools.__name__ = true;
+DateTools.__format_get = function(d,e) {
+	switch(e) {
+	case "%":
+		return "%";
+	case "C":
+		return StringTools.lpad(Std.string(Std["int"](d.getFullYear() / 100)),"0",2);
+	case "d":
+		return StringTools.lpad(Std.string(d.getDate()),"0",2);
+	case "D":
+		return DateTools.__format(d,"%m/%d/%y");
+	case "e":
+		return Std.string(d.getDate());
+	case "F":
+		return DateTools.__format(d,"%Y-%m-%d");
+	case "H":case "k":
+		return StringTools.lpad(Std.string(d.getHours()),e == "H"?"0":" ",2);
+	case "I":case "l":
+		var hour = d.getHours() % 12;
+		return StringTools.lpad(Std.string(hour == 0?12:hour),e == "I"?"0":" ",2);
+	case "m":
+		return StringTools.lpad(Std.string(d.getMonth() + 1),"0",2);
+	case "M":
+		return StringTools.lpad(Std.string(d.getMinutes()),"0",2);
+	case "n":
+		return "\n";
+	case "p":
+		if(d.getHours() > 11) return "PM"; else return "AM";
+		break;
+	case "r":
+		return DateTools.__format(d,"%I:%M:%S %p");
+	case "R":
+		return DateTools.__format(d,"%H:%M");
+	case "s":
+		return Std.string(Std["int"](d.getTime() / 1000));
+	case "S":
+		return StringTools.lpad(Std.string(d.getSeconds()),"0",2);
+	case "t":
+		return "\t";
+	case "T":
+		return DateTools.__format(d,"%H:%M:%S");
+	case "u":
+		var t = d.getDay();
+		if(t == 0) return "7"; else if(t == null) return "null"; else return "" + t;
+		break;
+	case "w":
+		return Std.string(d.getDay());
+	case "y":
+		return StringTools.lpad(Std.string(d.getFullYear() % 100),"0",2);
+	case "Y":
+		return Std.string(d.getFullYear());
+	default:
+		throw new js__$Boot_HaxeError("Date.format %" + e + "- not implemented yet.");
+	}
+};
+DateTools.__format = function(d,f) {
+	var r = new StringBuf();
+	var p = 0;
+	while(true) {
+		var np = f.indexOf("%",p);
+		if(np < 0) break;
+		var len = np - p;
+		if(len == null) r.b += HxOverrides.substr(f,p,null); else r.b += HxOverrides.substr(f,p,len);
+		r.add(DateTools.__format_get(d,HxOverrides.substr(f,np + 1,1)));
+		p = np + 2;
+	}
+	var len1 = f.length - p;
+	if(len1 == null) r.b += HxOverrides.substr(f,p,null); else r.b += HxOverrides.substr(f,p,len1);
+	return r.b;
+};
+DateTools.format = function(d,f) {
+	return DateTools.__format(d,f);
+};
 var EReg = function(r,opt) {
 	opt = opt.split("u").join("");
 	this.r = new RegExp(r,opt);
@@ -47,6 +122,10 @@ EReg.prototype = {
 			return b1;
 		}
 	}
+	,split: function(s) {
+		var d = "#__delim__#";
+		return s.replace(this.r,d).split(d);
+	}
 	,replace: function(s,by) {
 		return s.replace(this.r,by);
 	}
@@ -99,6 +178,12 @@ HxOverrides.indexOf = function(a,obj,i) {
 	}
 	return -1;
 };
+HxOverrides.remove = function(a,obj) {
+	var i = HxOverrides.indexOf(a,obj,0);
+	if(i == -1) return false;
+	a.splice(i,1);
+	return true;
+};
 HxOverrides.iter = function(a) {
 	return { cur : 0, arr : a, hasNext : function() {
 		return this.cur < this.arr.length;
@@ -116,6 +201,15 @@ Lambda.exists = function(it,f) {
 	}
 	return false;
 };
+Lambda.filter = function(it,f) {
+	var l = new List();
+	var $it0 = $iterator(it)();
+	while( $it0.hasNext() ) {
+		var x = $it0.next();
+		if(f(x)) l.add(x);
+	}
+	return l;
+};
 var List = function() {
 	this.length = 0;
 };
@@ -168,30 +262,213 @@ _$List_ListIterator.prototype = {
 	}
 	,__class__: _$List_ListIterator
 };
-var Markdown = function() { };
+var Markdown = $hx_exports.gitblog.Markdown = function() {
+	this.blockSyntaxes = [];
+	this.inlineSyntaxes = [];
+	this.linkResolver = null;
+	this.options = { extensions : null, strict : false};
+};
 Markdown.__name__ = true;
-Markdown.markdownToHtml = function(markdown) {
-	var document = new Document();
-	try {
-		var lines = new EReg("(\r\n|\r)","g").replace(markdown,"\n").split("\n");
-		document.parseRefLinks(lines);
-		var blocks = document.parseLines(lines);
-		return Markdown.renderHtml(blocks);
-	} catch( e ) {
-		if (e instanceof js__$Boot_HaxeError) e = e.val;
-		return "<pre>" + Std.string(e) + "</pre>";
-	}
+Markdown.markdownToHtml = function(markdown,strict) {
+	return new Markdown().render(markdown,{ strict : strict}).html;
 };
 Markdown.renderHtml = function(blocks) {
 	return new markdown_HtmlRenderer().render(blocks);
 };
-var Document = function() {
+Markdown.prototype = {
+	addBlockSyntax: function(syntax,before) {
+		this.blockSyntaxes.push({ syntax : syntax, type : null, before : before != null?before:markdown_ParagraphSyntax});
+		return this;
+	}
+	,replaceBlockSyntax: function(type,syntax) {
+		this.blockSyntaxes.push({ syntax : syntax, type : type, before : null});
+		return this;
+	}
+	,addInlineSyntax: function(syntax,before) {
+		this.inlineSyntaxes.push({ syntax : syntax, before : before});
+		return this;
+	}
+	,setLinkResolver: function(linkResolver) {
+		this.linkResolver = linkResolver;
+		return this;
+	}
+	,setOptions: function(options) {
+		var _g = 0;
+		var _g1 = Reflect.fields(options);
+		while(_g < _g1.length) {
+			var field = _g1[_g];
+			++_g;
+			this.options[field] = Reflect.field(options,field);
+		}
+		return this;
+	}
+	,createDocument: function(options) {
+		var extensions = this.options.extensions;
+		var strict = this.options.strict;
+		if(options != null) {
+			if(options.extensions != null) extensions = options.extensions;
+			if(options.strict != null) strict = options.strict;
+		}
+		var document = new Document(extensions,strict);
+		document.linkResolver = this.linkResolver;
+		var _g = 0;
+		var _g1 = this.blockSyntaxes;
+		while(_g < _g1.length) {
+			var entry = _g1[_g];
+			++_g;
+			if(entry.type != null) document.replaceBlockSyntax(entry.type,entry.syntax); else document.addBlockSyntax(entry.syntax,entry.before);
+		}
+		var _g2 = 0;
+		var _g11 = this.inlineSyntaxes;
+		while(_g2 < _g11.length) {
+			var entry1 = _g11[_g2];
+			++_g2;
+			document.addInlineSyntax(entry1.syntax,entry1.before);
+		}
+		return document;
+	}
+	,render: function(markdown,options) {
+		var document = this.createDocument(options);
+		try {
+			var lines = new EReg("(\r\n|\r)","g").replace(markdown,"\n").split("\n");
+			if(document.hasExtension("footnotes")) document.parseFootnotes(lines);
+			document.parseRefLinks(lines);
+			var blocks = document.parseLines(lines);
+			var footnotes = document.renderFootnotes();
+			if(footnotes != null) blocks.push(footnotes);
+			return { html : Markdown.renderHtml(blocks), headings : document.headings};
+		} catch( e ) {
+			if (e instanceof js__$Boot_HaxeError) e = e.val;
+			return { html : "<pre>" + Std.string(e) + "</pre>", headings : []};
+		}
+	}
+	,__class__: Markdown
+};
+var Document = function(extensions,strict) {
+	if(strict == null) strict = false;
 	this.refLinks = new haxe_ds_StringMap();
+	this.footnotes = new haxe_ds_StringMap();
+	this.footnoteOrder = [];
+	this.strict = strict;
+	if(strict) this.extensions = []; else if(extensions == null) this.extensions = Document.EXTENSIONS; else this.extensions = extensions;
+	this.blockSyntaxes = markdown_BlockSyntax.get_syntaxes().slice();
 	this.inlineSyntaxes = [];
+	this.inlineInsertions = [];
+	this.linkResolver = null;
+	this.headings = [];
+	this.headingIds = new haxe_ds_StringMap();
+	if(this.hasExtension("footnotes")) this.inlineSyntaxes.push(new markdown_FootnoteSyntax());
+	if(this.hasExtension("strikethrough")) this.inlineSyntaxes.push(new markdown_StrikethroughSyntax());
+	if(this.hasExtension("tasklists")) this.addBlockSyntax(new markdown_TaskListSyntax(),markdown_UnorderedListSyntax);
+	if(this.hasExtension("deflists")) this.addBlockSyntax(new markdown_DefinitionListSyntax(),markdown_ParagraphSyntax);
+	if(strict) {
+		this.replaceBlockSyntax(markdown_HeaderSyntax,new markdown_StrictHeaderSyntax());
+		this.replaceBlockSyntax(markdown_GitHubCodeBlockSyntax,new markdown_FencedCodeBlockSyntax());
+		this.replaceBlockSyntax(markdown_TableSyntax,null);
+	}
 };
 Document.__name__ = true;
+Document.textOf = function(nodes) {
+	var text = "";
+	var _g = 0;
+	while(_g < nodes.length) {
+		var node = nodes[_g];
+		++_g;
+		if(js_Boot.__instanceof(node,markdown_TextNode)) text += node.text; else if(js_Boot.__instanceof(node,markdown_ElementNode) && node.children != null) text += Document.textOf(node.children);
+	}
+	return text;
+};
 Document.prototype = {
-	parseRefLinks: function(lines) {
+	hasExtension: function(name) {
+		return HxOverrides.indexOf(this.extensions,name,0) >= 0;
+	}
+	,addBlockSyntax: function(syntax,before) {
+		var _g1 = 0;
+		var _g = this.blockSyntaxes.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			if(js_Boot.getClass(this.blockSyntaxes[i]) == before) {
+				this.blockSyntaxes.splice(i,0,syntax);
+				return;
+			}
+		}
+		this.blockSyntaxes.push(syntax);
+	}
+	,addInlineSyntax: function(syntax,before) {
+		if(before == null) this.inlineSyntaxes.push(syntax); else this.inlineInsertions.push({ syntax : syntax, before : before});
+	}
+	,replaceBlockSyntax: function(type,syntax) {
+		var _g1 = 0;
+		var _g = this.blockSyntaxes.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			if(js_Boot.getClass(this.blockSyntaxes[i]) != type) continue;
+			if(syntax == null) this.blockSyntaxes.splice(i,1); else this.blockSyntaxes[i] = syntax;
+			return;
+		}
+	}
+	,parseFootnotes: function(lines) {
+		var re = Document.RE_FOOTNOTE;
+		var code = false;
+		var i = 0;
+		while(i < lines.length) {
+			if(code) {
+				if(markdown_BlockSyntax.RE_CODE_END.match(lines[i])) code = false;
+				i++;
+				continue;
+			}
+			if(markdown_BlockSyntax.RE_CODE.match(lines[i])) {
+				code = true;
+				i++;
+				continue;
+			}
+			if(!re.match(lines[i])) {
+				i++;
+				continue;
+			}
+			var id = re.matched(1);
+			var childLines = [re.matched(2)];
+			lines[i++] = "";
+			while(i < lines.length) {
+				if(markdown_BlockSyntax.RE_INDENT.match(lines[i])) childLines.push(markdown_BlockSyntax.RE_INDENT.matched(1)); else if(markdown_BlockSyntax.RE_EMPTY.match(lines[i]) && i + 1 < lines.length && markdown_BlockSyntax.RE_INDENT.match(lines[i + 1])) childLines.push(""); else break;
+				lines[i++] = "";
+			}
+			if(!this.footnotes.exists(id)) this.footnotes.set(id,childLines);
+		}
+	}
+	,referenceFootnote: function(id) {
+		if(!this.footnotes.exists(id)) return null;
+		var index = HxOverrides.indexOf(this.footnoteOrder,id,0);
+		if(index < 0) {
+			this.footnoteOrder.push(id);
+			return { number : this.footnoteOrder.length, first : true};
+		}
+		return { number : index + 1, first : false};
+	}
+	,renderFootnotes: function() {
+		if(this.footnoteOrder.length == 0) return null;
+		var items = [];
+		var i = 0;
+		while(i < this.footnoteOrder.length) {
+			var id = this.footnoteOrder[i++];
+			var children = this.parseLines(this.footnotes.get(id));
+			var backlink = markdown_ElementNode.text("a","&#8617;");
+			backlink.attributes.set("href","#fnref-" + id);
+			backlink.attributes.set("class","footnote-backref");
+			var last = children[children.length - 1];
+			if(js_Boot.__instanceof(last,markdown_ElementNode) && last.tag == "p") {
+				last.children.push(new markdown_TextNode(" "));
+				last.children.push(backlink);
+			} else children.push(backlink);
+			var item = new markdown_ElementNode("li",children);
+			item.attributes.set("id","fn-" + id);
+			items.push(item);
+		}
+		var block = new markdown_ElementNode("div",[markdown_ElementNode.empty("hr"),new markdown_ElementNode("ol",items)]);
+		block.attributes.set("class","footnotes");
+		return block;
+	}
+	,parseRefLinks: function(lines) {
 		var indent = "^[ ]{0,3}";
 		var id = "\\[([^\\]]+)\\]";
 		var quote = "\"[^\"]+\"";
@@ -224,7 +501,7 @@ Document.prototype = {
 		var blocks = [];
 		while(!(parser.pos >= parser.lines.length)) {
 			var _g = 0;
-			var _g1 = markdown_BlockSyntax.get_syntaxes();
+			var _g1 = this.blockSyntaxes;
 			while(_g < _g1.length) {
 				var syntax = _g1[_g];
 				++_g;
@@ -240,6 +517,22 @@ Document.prototype = {
 	,parseInline: function(text) {
 		return new markdown_InlineParser(text,this).parse();
 	}
+	,heading: function(level,contents) {
+		var element = new markdown_ElementNode("h" + level,contents);
+		var text = StringTools.trim(Document.RE_TAG.replace(Document.textOf(contents),""));
+		var base = Document.RE_EDGE_DASHES.replace(Document.RE_NON_ID.replace(StringTools.htmlUnescape(text).toLowerCase(),"-"),"");
+		if(base == "") base = "section";
+		var id = base;
+		var count = this.headingIds.get(base);
+		if(count != null) {
+			while(this.headingIds.get(id = base + "-" + count) != null) count++;
+			this.headingIds.set(base,count + 1);
+		}
+		this.headingIds.set(id,1);
+		if(!this.strict) element.attributes.set("id",id);
+		this.headings.push({ level : level, id : id, text : text});
+		return element;
+	}
 	,__class__: Document
 };
 var Link = function(id,url,title) {
@@ -262,6 +555,16 @@ Reflect.field = function(o,field) {
 		return null;
 	}
 };
+Reflect.fields = function(o) {
+	var a = [];
+	if(o != null) {
+		var hasOwnProperty = Object.prototype.hasOwnProperty;
+		for( var f in o ) {
+		if(f != "__id__" && f != "hx__closures__" && hasOwnProperty.call(o,f)) a.push(f);
+		}
+	}
+	return a;
+};
 Reflect.callMethod = function(o,func,args) {
 	return func.apply(o,args);
 };
@@ -273,6 +576,9 @@ Std.__name__ = true;
 Std.string = function(s) {
 	return js_Boot.__string_rec(s,"");
 };
+Std["int"] = function(x) {
+	return x | 0;
+};
 Std.parseInt = function(x) {
 	var v = parseInt(x,10);
 	if(v == 0 && (HxOverrides.cca(x,1) == 120 || HxOverrides.cca(x,1) == 88)) v = parseInt(x);
@@ -291,6 +597,9 @@ StringBuf.prototype = {
 };
 var StringTools = function() { };
 StringTools.__name__ = true;
+StringTools.urlEncode = function(s) {
+	return encodeURIComponent(s);
+};
 StringTools.htmlEscape = function(s,quotes) {
 	s = s.split("&").join("&amp;").split("<").join("&lt;").split(">").join("&gt;");
 	if(quotes) return s.split("\"").join("&quot;").split("'").join("&#039;"); else return s;
@@ -310,6 +619,11 @@ StringTools.isSpace = function(s,pos) {
 	var c = HxOverrides.cca(s,pos);
 	return c > 8 && c < 14 || c == 32;
 };
+StringTools.lpad = function(s,c,l) {
+	if(c.length <= 0) return s;
+	while(s.length < l) s = c + s;
+	return s;
+};
 StringTools.ltrim = function(s) {
 	var l = s.length;
 	var r = 0;
@@ -331,34 +645,202 @@ StringTools.replace = function(s,sub,by) {
 StringTools.fastCodeAt = function(s,index) {
 	return s.charCodeAt(index);
 };
-var frank_App = function() {
+var frank_App = function(mode,base) {
 	this.routes = [];
+	this.redirects = new haxe_ds_StringMap();
+	this.navigations = 0;
+	if(mode != null) this.mode = mode; else this.mode = "hash";
+	if(base == null) base = "/";
+	if(!StringTools.startsWith(base,"/")) base = "/" + base;
+	if(!StringTools.endsWith(base,"/")) base += "/";
+	this.base = base;
+	frank_App.instance = this;
 	window.addEventListener("hashchange",$bind(this,this.router));
+	if(this.mode == "history") {
+		window.addEventListener("popstate",$bind(this,this.router));
+		window.document.addEventListener("click",$bind(this,this.onClick));
+		if(window.document.querySelector("base") == null) {
+			var element = window.document.createElement("base");
+			element.setAttribute("href",base);
+			window.document.head.appendChild(element);
+		}
+	}
 };
 frank_App.__name__ = true;
+frank_App.link = function(name,params,query) {
+	var route = frank_App.named.get(name);
+	if(route == null) throw new js__$Boot_HaxeError("App : no route named " + name + ".");
+	var path = route.link(params == null?{ }:params);
+	if(query != null) {
+		var pairs = [];
+		var _g = 0;
+		var _g1 = Reflect.fields(query);
+		while(_g < _g1.length) {
+			var key = _g1[_g];
+			++_g;
+			pairs.push(StringTools.urlEncode(key) + "=" + StringTools.urlEncode(Std.string(Reflect.field(query,key))));
+		}
+		if(pairs.length > 0) path += "?" + pairs.join("&");
+	}
+	return frank_App.instance.href(path);
+};
+frank_App.parseQuery = function(query,params) {
+	var _g = 0;
+	var _g1 = query.split("&");
+	while(_g < _g1.length) {
+		var pair = _g1[_g];
+		++_g;
+		if(pair == "") continue;
+		var separator = pair.indexOf("=");
+		var key;
+		if(separator < 0) key = frank_Route.decode(pair); else key = frank_Route.decode(HxOverrides.substr(pair,0,separator));
+		var value;
+		if(separator < 0) value = ""; else value = frank_Route.decode(HxOverrides.substr(pair,separator + 1,null));
+		if(!Object.prototype.hasOwnProperty.call(params,key)) params[key] = value;
+	}
+	return params;
+};
+frank_App.go = function(name,params,replace) {
+	if(replace == null) replace = false;
+	var app = frank_App.instance;
+	app.navigate(app.pathOf(frank_App.link(name,params)),replace);
+};
+frank_App.report = function(error) {
+	console.log("ERROR: " + Std.string(error));
+};
 frank_App.prototype = {
 	route: function(route) {
-		this.routes.push(route);
+		var compiled = new frank_Route(route.name,route.path,route.controller);
+		this.routes.push(compiled);
+		if(route.name != null) frank_App.named.set(route.name,compiled);
+		return this;
+	}
+	,redirect: function(from,to) {
+		this.redirects.set(from,to);
+		return this;
+	}
+	,otherwise: function(controller) {
+		this.fallback = new frank_Route("notFound","/*path",controller);
 		return this;
 	}
 	,run: function() {
+		if(this.mode == "history") {
+			var storage = js_Browser.getSessionStorage();
+			var pending = null;
+			if(storage != null) pending = storage.getItem(frank_App.REDIRECT_KEY);
+			if(pending != null) {
+				storage.removeItem(frank_App.REDIRECT_KEY);
+				window.history.replaceState(null,"",pending);
+			}
+		}
 		this.router();
 	}
-	,router: function(event) {
-		var hash;
-		var _this = window.location.hash;
-		hash = HxOverrides.substr(_this,1,null);
-		var route = this.findRoute(hash);
-		if(route != null) route.controller.enter(hash); else console.log("ERROR: Unmatched route.");
+	,href: function(path) {
+		if(this.mode == "history") return this.base + HxOverrides.substr(path,1,null);
+		return "#" + path;
+	}
+	,pathOf: function(href) {
+		if(StringTools.startsWith(href,"#")) return HxOverrides.substr(href,1,null);
+		if(href + "/" == this.base) return "/";
+		if(StringTools.startsWith(href,this.base)) return "/" + HxOverrides.substr(href,this.base.length,null);
+		return null;
+	}
+	,location: function() {
+		var hash = window.location.hash;
+		if(this.mode != "history") return HxOverrides.substr(hash,1,null);
+		if(StringTools.startsWith(hash,"#/")) {
+			window.history.replaceState(null,"",this.href(HxOverrides.substr(hash,1,null)));
+			return HxOverrides.substr(hash,1,null);
+		}
+		var path = this.pathOf(window.location.pathname);
+		if(path == null) path = window.location.pathname;
+		return path + window.location.search;
+	}
+	,navigate: function(path,replace) {
+		if(this.mode == "history") {
+			if(replace) window.history.replaceState(null,"",this.href(path)); else window.history.pushState(null,"",this.href(path));
+			this.router();
+		} else if(replace) window.location.replace(this.href(path)); else window.location.hash = path;
+	}
+	,onClick: function(event) {
+		if(event.defaultPrevented || event.button != 0 || event.metaKey || event.ctrlKey || event.shiftKey || event.altKey) return;
+		var element = event.target;
+		while(element != null && element.nodeName != "A") element = element.parentNode;
+		if(element == null || element.hasAttribute("download")) return;
+		if(element.target != null && element.target != "" && element.target != "_self") return;
+		var href = element.getAttribute("href");
+		if(href == null || element.origin != window.location.origin) return;
+		var path;
+		if(StringTools.startsWith(href,"#")) path = HxOverrides.substr(href,1,null); else {
+			path = this.pathOf(element.pathname);
+			if(path != null) path += element.search;
+		}
+		if(path == null || !StringTools.startsWith(path,"/")) return;
+		var separator = path.indexOf("?");
+		var match = this.findRoute(separator < 0?path:HxOverrides.substr(path,0,separator));
+		if(match == null || match.route == this.fallback) return;
+		event.preventDefault();
+		this.navigate(path,false);
 	}
-	,findRoute: function(hash) {
+	,router: function(event) {
+		var _g = this;
+		var location = this.location();
+		var path = location;
+		var query = "";
+		var separator = location.indexOf("?");
+		if(separator >= 0) {
+			path = HxOverrides.substr(location,0,separator);
+			query = HxOverrides.substr(location,separator + 1,null);
+		}
+		var target = this.redirects.get(path);
+		if(target != null) {
+			this.navigate(target,true);
+			return;
+		}
+		if(this.current != null && this.current.path == location) return;
+		var navigation = ++this.navigations;
+		var match = this.findRoute(path);
+		if(match != null) frank_App.parseQuery(query,match.params);
+		var previous = this.current;
+		if(match == null) {
+			this.current = null;
+			if(previous != null) Promise.resolve(previous.route.controller.leave()).then(null,frank_App.report);
+			console.log("ERROR: Unmatched route.");
+			return;
+		}
+		if(previous != null && previous.route == match.route) {
+			this.current = { route : match.route, params : match.params, path : location};
+			Promise.resolve(match.route.controller.update(match.params)).then(null,frank_App.report);
+			return;
+		}
+		Promise.resolve(match.route.controller.beforeEnter(match.params)).then(function(result) {
+			if(navigation != _g.navigations) return null;
+			if(result == false) {
+				if(previous != null) _g.navigate(previous.path,true);
+				return null;
+			}
+			if(typeof(result) == "string") {
+				_g.navigate(_g.pathOf(result),true);
+				return null;
+			}
+			_g.current = null;
+			return Promise.resolve(previous != null?previous.route.controller.leave():null).then(function(_) {
+				if(navigation != _g.navigations) return null;
+				_g.current = { route : match.route, params : match.params, path : location};
+				return match.route.controller.enter(match.params);
+			});
+		}).then(null,frank_App.report);
+	}
+	,findRoute: function(path) {
 		var _g = 0;
 		var _g1 = this.routes;
 		while(_g < _g1.length) {
 			var route = _g1[_g];
 			++_g;
-			if(route.path.match(hash)) return route;
+			var params = route.match(path);
+			if(params != null) return { route : route, params : params};
 		}
+		if(this.fallback != null) return { route : this.fallback, params : { path : path}};
 		return null;
 	}
 	,__class__: frank_App
@@ -368,6 +850,86 @@ frank_Controller.__name__ = true;
 frank_Controller.prototype = {
 	__class__: frank_Controller
 };
+var frank_Route = function(name,path,controller) {
+	this.name = name;
+	this.path = path;
+	this.controller = controller;
+	this.segments = [];
+	var pattern = "^";
+	var _g = 0;
+	var _g1 = path.split("/");
+	while(_g < _g1.length) {
+		var part = _g1[_g];
+		++_g;
+		if(part == "") continue;
+		var segment;
+		var _g2 = part.charAt(0);
+		switch(_g2) {
+		case ":":
+			var optional = StringTools.endsWith(part,"?");
+			segment = { text : part, key : part.substring(1,optional?part.length - 1:part.length), optional : optional, wildcard : false};
+			if(optional) pattern += "(?:/([^/]*))?"; else pattern += "/([^/]+)";
+			break;
+		case "*":
+			segment = { text : part, key : part.length > 1?HxOverrides.substr(part,1,null):"splat", optional : false, wildcard : true};
+			pattern += "/(.+)";
+			break;
+		default:
+			segment = { text : part, key : null, optional : false, wildcard : false};
+			pattern += "/" + frank_Route.RE_SPECIAL.replace(part,"\\$&");
+		}
+		this.segments.push(segment);
+	}
+	if(this.segments.length == 0) pattern += "/"; else pattern += "/?";
+	this.pattern = new EReg(pattern + "$","");
+};
+frank_Route.__name__ = true;
+frank_Route.decode = function(value) {
+	try {
+		return decodeURIComponent(value);
+	} catch( e ) {
+		if (e instanceof js__$Boot_HaxeError) e = e.val;
+		return value;
+	}
+};
+frank_Route.prototype = {
+	match: function(hash) {
+		if(!this.pattern.match(hash)) return null;
+		var params = { };
+		var group = 1;
+		var _g = 0;
+		var _g1 = this.segments;
+		while(_g < _g1.length) {
+			var segment = _g1[_g];
+			++_g;
+			if(segment.key == null) continue;
+			var value = this.pattern.matched(group++);
+			if(value != null && value != "") params[segment.key] = frank_Route.decode(value);
+		}
+		return params;
+	}
+	,link: function(params) {
+		var path = "";
+		var _g = 0;
+		var _g1 = this.segments;
+		while(_g < _g1.length) {
+			var segment = _g1[_g];
+			++_g;
+			if(segment.key == null) {
+				path += "/" + segment.text;
+				continue;
+			}
+			var value = Reflect.field(params,segment.key);
+			if(value == null || value == "") {
+				if(segment.optional) continue;
+				throw new js__$Boot_HaxeError("Route : missing parameter " + segment.key + " for " + this.path + ".");
+			}
+			if(segment.wildcard) path += "/" + Std.string(value).split("/").map(StringTools.urlEncode).join("/"); else path += "/" + StringTools.urlEncode(Std.string(value));
+		}
+		if(path == "") return "/"; else return path;
+	}
+	,__class__: frank_Route
+};
 var frank_View = function(parentElementID,templateName) {
 	this.parentElement = window.document.getElementById(parentElementID);
 	this.viewTemplate = new haxe_Template(haxe_Resource.getString(templateName));
@@ -387,12 +949,26 @@ var haxe_Http = function(url) {
 };
 haxe_Http.__name__ = true;
 haxe_Http.prototype = {
-	request: function(post) {
+	setHeader: function(header,value) {
+		this.headers = Lambda.filter(this.headers,function(h) {
+			return h.header != header;
+		});
+		this.headers.push({ header : header, value : value});
+		return this;
+	}
+	,setParameter: function(param,value) {
+		this.params = Lambda.filter(this.params,function(p) {
+			return p.param != param;
+		});
+		this.params.push({ param : param, value : value});
+		return this;
+	}
+	,request: function(post) {
 		var me = this;
 		me.responseData = null;
 		var r = this.req = js_Browser.createXMLHttpRequest();
 		var onreadystatechange = function(_) {
-			if(r.readyState != 4) return;
+			if(r.readyState != 4 || me.req != r) return;
 			var s;
 			try {
 				s = r.status;
@@ -407,6 +983,21 @@ haxe_Http.prototype = {
 				if(isLocal) if(r.responseText != null) s = 200; else s = 404;
 			}
 			if(s == undefined) s = null;
+			me.responseHeaders = new haxe_ds_StringMap();
+			if(s != null) {
+				var _g = 0;
+				var _g1 = StringTools.trim(r.getAllResponseHeaders()).split("\r\n");
+				while(_g < _g1.length) {
+					var hline = _g1[_g];
+					++_g;
+					var a = hline.split(": ");
+					var hname = a.shift().toLowerCase();
+					if(hname == "") continue;
+					var hval;
+					if(a.length == 1) hval = a[0]; else hval = a.join(": ");
+					me.responseHeaders.set(hname,StringTools.trim(hval));
+				}
+			}
 			if(s != null) me.onStatus(s);
 			if(s != null && s >= 200 && s < 400) {
 				me.req = null;
@@ -478,6 +1069,11 @@ haxe_Http.prototype = {
 		r.send(uri);
 		if(!this.async) onreadystatechange(null);
 	}
+	,cancel: function() {
+		if(this.req == null) return;
+		this.req.abort();
+		this.req = null;
+	}
 	,onData: function(data) {
 	}
 	,onError: function(msg) {
@@ -486,27 +1082,410 @@ haxe_Http.prototype = {
 	}
 	,__class__: haxe_Http
 };
+var gitblog_ArticleFile = function(name,date,title,slug) {
+	this.name = name;
+	this.date = date;
+	this.title = title;
+	this.slug = slug;
+};
+gitblog_ArticleFile.__name__ = true;
+gitblog_ArticleFile.parse = function(name) {
+	var re = gitblog_ArticleFile.RE_NAME;
+	if(!re.match(name)) return null;
+	var date = gitblog_ArticleFile.toDate(re.matched(1),re.matched(2),re.matched(3),re.matched(4),re.matched(5));
+	if(date == null) return null;
+	var title = re.matched(6);
+	var slug = gitblog_ArticleFile.slugify(title);
+	if(slug == "") slug = gitblog_ArticleFile.slugify(HxOverrides.substr(name,0,name.lastIndexOf(".")));
+	if(gitblog_ArticleFile.RE_SLUG.match(title)) title = gitblog_ArticleFile.titleize(title); else title = title.split("-").join(" ");
+	return new gitblog_ArticleFile(name,date,title,slug);
+};
+gitblog_ArticleFile.isMarkdown = function(name) {
+	return gitblog_ArticleFile.RE_MARKDOWN.match(name);
+};
+gitblog_ArticleFile.parseDate = function(value) {
+	if(value == null) return null;
+	if((value instanceof Date)) return value;
+	var re = gitblog_ArticleFile.RE_DATE;
+	if(!re.match(Std.string(value))) return null;
+	return gitblog_ArticleFile.toDate(re.matched(1),re.matched(2),re.matched(3),re.matched(4),re.matched(5));
+};
+gitblog_ArticleFile.toDate = function(year,month,day,hour,minute) {
+	var y = Std.parseInt(year);
+	var m = Std.parseInt(month);
+	var d = Std.parseInt(day);
+	var h;
+	if(hour == null) h = 0; else h = Std.parseInt(hour);
+	var min;
+	if(minute == null) min = 0; else min = Std.parseInt(minute);
+	if(m < 1 || m > 12 || d < 1 || d > 31 || h > 23 || min > 59) return null;
+	var date = new Date(y,m - 1,d,h,min,0);
+	if(date.getDate() != d) return null;
+	return date;
+};
+gitblog_ArticleFile.slugify = function(title) {
+	return gitblog_ArticleFile.RE_EDGE_DASHES.replace(gitblog_ArticleFile.RE_NON_SLUG.replace(title.toLowerCase(),"-"),"");
+};
+gitblog_ArticleFile.titleize = function(slug) {
+	var words = slug.split("-").join(" ");
+	return words.charAt(0).toUpperCase() + HxOverrides.substr(words,1,null);
+};
+gitblog_ArticleFile.prototype = {
+	__class__: gitblog_ArticleFile
+};
+var gitblog_Cache = function(prefix) {
+	this.prefix = prefix;
+	this.storage = js_Browser.getLocalStorage();
+};
+gitblog_Cache.__name__ = true;
+gitblog_Cache.prototype = {
+	get: function(key) {
+		if(this.storage == null) return null;
+		var item = this.storage.getItem(this.prefix + key);
+		if(item == null) return null;
+		try {
+			return JSON.parse(item);
+		} catch( e ) {
+			if (e instanceof js__$Boot_HaxeError) e = e.val;
+			return null;
+		}
+	}
+	,set: function(key,entry) {
+		if(this.storage == null) return;
+		try {
+			this.storage.setItem(this.prefix + key,JSON.stringify(entry));
+		} catch( e ) {
+			if (e instanceof js__$Boot_HaxeError) e = e.val;
+			console.log("WARNING: Unable to cache response for " + key + ".");
+		}
+	}
+	,__class__: gitblog_Cache
+};
+var gitblog_Catalog = function(source) {
+	this.source = source;
+	this.index = new gitblog_search_SearchIndex(new gitblog_Cache("gitblog:search:"));
+};
+gitblog_Catalog.__name__ = true;
+gitblog_Catalog.normalizeTags = function(value) {
+	if(value == null) return [];
+	var tags;
+	if((value instanceof Array) && value.__enum__ == null) tags = value; else tags = Std.string(value).split(",");
+	var normalized = [];
+	var _g = 0;
+	while(_g < tags.length) {
+		var tag = tags[_g];
+		++_g;
+		var name = StringTools.trim(Std.string(tag));
+		if(name != "" && HxOverrides.indexOf(normalized,name,0) < 0) normalized.push(name);
+	}
+	return normalized;
+};
+gitblog_Catalog.normalizeAlias = function(alias) {
+	alias = StringTools.trim(alias);
+	if(StringTools.startsWith(alias,"#")) alias = HxOverrides.substr(alias,1,null);
+	if(StringTools.startsWith(alias,"/contents/")) alias = HxOverrides.substr(alias,"/contents/".length,null); else if(StringTools.startsWith(alias,"/articles/")) alias = HxOverrides.substr(alias,"/articles/".length,null);
+	while(StringTools.startsWith(alias,"/")) alias = HxOverrides.substr(alias,1,null);
+	return alias;
+};
+gitblog_Catalog.normalizeAliases = function(value) {
+	var _g = [];
+	var _g1 = 0;
+	var _g2 = gitblog_Catalog.normalizeTags(value);
+	while(_g1 < _g2.length) {
+		var alias = _g2[_g1];
+		++_g1;
+		_g.push(gitblog_Catalog.normalizeAlias(alias));
+	}
+	return _g;
+};
+gitblog_Catalog.find = function(articles,key) {
+	key = gitblog_Catalog.normalizeAlias(key);
+	var _g = 0;
+	while(_g < articles.length) {
+		var article = articles[_g];
+		++_g;
+		if(article.slug == key || article.path == key) return article;
+	}
+	var _g1 = 0;
+	while(_g1 < articles.length) {
+		var article1 = articles[_g1];
+		++_g1;
+		if(article1.aliases != null && HxOverrides.indexOf(article1.aliases,key,0) >= 0) return article1;
+	}
+	return null;
+};
+gitblog_Catalog.chronological = function(articles) {
+	var sorted = articles.slice();
+	sorted.sort(function(a,b) {
+		return Reflect.compare(a.date.getTime(),b.date.getTime());
+	});
+	return sorted;
+};
+gitblog_Catalog.neighbours = function(articles,article) {
+	var sorted = gitblog_Catalog.chronological(articles);
+	var _g1 = 0;
+	var _g = sorted.length;
+	while(_g1 < _g) {
+		var i = _g1++;
+		if(sorted[i].path == article.path) return { previous : i > 0?sorted[i - 1]:null, next : i < sorted.length - 1?sorted[i + 1]:null};
+	}
+	return { previous : null, next : null};
+};
+gitblog_Catalog.series = function(articles,article,name) {
+	var parts = gitblog_Catalog.chronological(articles).filter(function(a) {
+		return a.series == name;
+	});
+	parts.sort(function(a1,b) {
+		if(a1.part != null && b.part != null) return Reflect.compare(a1.part,b.part);
+		return Reflect.compare(a1.date.getTime(),b.date.getTime());
+	});
+	if(parts.length < 2) return null;
+	return { name : name, parts : parts, current : article.path};
+};
+gitblog_Catalog.tagSlug = function(name) {
+	var folded = StringTools.trim(name).toLowerCase();
+	var slug = gitblog_ArticleFile.RE_EDGE_DASHES.replace(gitblog_Catalog.RE_TAG_SPACE.replace(folded,"-"),"");
+	if(slug == "") return folded; else return slug;
+};
+gitblog_Catalog.groupByTag = function(articles) {
+	var tags = [];
+	var bySlug = new haxe_ds_StringMap();
+	var _g = 0;
+	while(_g < articles.length) {
+		var article = articles[_g];
+		++_g;
+		var _g1 = 0;
+		var _g2 = article.tags;
+		while(_g1 < _g2.length) {
+			var name = _g2[_g1];
+			++_g1;
+			var slug = gitblog_Catalog.tagSlug(name);
+			var tag = bySlug.get(slug);
+			if(tag == null) {
+				tag = { name : name, slug : slug, count : 0, articles : []};
+				bySlug.set(slug,tag);
+				tags.push(tag);
+			}
+			tag.articles.push(article);
+			tag.count++;
+		}
+	}
+	tags.sort(function(a,b) {
+		if(a.count != b.count) return b.count - a.count;
+		return Reflect.compare(a.name.toLowerCase(),b.name.toLowerCase());
+	});
+	return tags;
+};
+gitblog_Catalog.prototype = {
+	load: function(progress) {
+		var _g = this;
+		if(progress != null) this.progress = progress;
+		if(this.loading == null) this.loading = this.source.listArticles(null).then($bind(this,this.update)).then(function(articles) {
+			_g.loading = null;
+			if(_g.updateCallback != null) _g.updateCallback(articles);
+			return articles;
+		},function(error) {
+			_g.loading = null;
+			return Promise.reject(error);
+		});
+		return this.loading;
+	}
+	,update: function(articles) {
+		var _g = this;
+		var paths = [];
+		var stale = [];
+		var _g1 = 0;
+		while(_g1 < articles.length) {
+			var article = articles[_g1];
+			++_g1;
+			paths.push(article.path);
+			var document = this.index.find(article.path);
+			var version = gitblog_search_SearchIndex.versionOf(article,null);
+			if(document == null || version == null || document.version != version) stale.push(article);
+		}
+		var _g11 = 0;
+		var _g2 = this.index.paths();
+		while(_g11 < _g2.length) {
+			var path = _g2[_g11];
+			++_g11;
+			if(HxOverrides.indexOf(paths,path,0) < 0) this.index.remove(path);
+		}
+		return this.fetch(stale).then(function(_) {
+			return _g.withMetadata(articles);
+		});
+	}
+	,fetch: function(stale) {
+		var _g = this;
+		var next = null;
+		next = function(i) {
+			if(i >= stale.length) {
+				_g.index.save();
+				return Promise.resolve(null);
+			}
+			if(_g.progress != null) _g.progress(i,stale.length);
+			var article = stale[i];
+			return _g.source.fetchArticle(article.path).then(function(model) {
+				var version = gitblog_search_SearchIndex.versionOf(article,model);
+				var document = _g.index.find(article.path);
+				if(document != null && document.version == version) return next(i + 1);
+				var aliases = gitblog_Catalog.normalizeAliases(model.aliases);
+				if(model.slug != null) aliases.push(gitblog_ArticleFile.slugify(Std.string(model.slug)));
+				_g.index.add({ path : article.path, version : version, title : article.title, slug : article.slug, aliases : aliases, series : model.series, part : model.part, tags : gitblog_Catalog.normalizeTags(model.tags), text : gitblog_search_PlainText.fromMarkdown(model.body)});
+				return next(i + 1);
+			},function(error) {
+				_g.index.save();
+				return Promise.reject(error);
+			});
+		};
+		return next(0);
+	}
+	,onUpdate: function(callback) {
+		this.updateCallback = callback;
+	}
+	,resolve: function(key) {
+		var _g = this;
+		return this.source.listArticles(null).then(function(articles) {
+			var article = gitblog_Catalog.find(_g.withMetadata(articles),key);
+			if(article != null) return article;
+			var unknown = articles.filter(function(a) {
+				return !a.indexed && _g.index.find(a.path) == null;
+			});
+			if(unknown.length == 0) return null;
+			return _g.fetch(unknown).then(function(_) {
+				return gitblog_Catalog.find(_g.withMetadata(articles),key);
+			});
+		});
+	}
+	,list: function() {
+		return this.source.listArticles(null).then($bind(this,this.describe));
+	}
+	,describe: function(articles) {
+		if(!this.isDescribed(articles)) return this.load(null);
+		return Promise.resolve(this.withMetadata(articles));
+	}
+	,isDescribed: function(articles) {
+		var _g = 0;
+		while(_g < articles.length) {
+			var article = articles[_g];
+			++_g;
+			if(!article.indexed && this.index.find(article.path) == null) return false;
+		}
+		return true;
+	}
+	,withMetadata: function(articles) {
+		var _g = 0;
+		while(_g < articles.length) {
+			var article = articles[_g];
+			++_g;
+			var document = this.index.find(article.path);
+			var tags = article.tags;
+			if(tags == null && document != null) tags = document.tags;
+			article.tags = gitblog_Catalog.normalizeTags(tags);
+			if(article.aliases == null && document != null) article.aliases = document.aliases;
+			if(article.series == null && document != null) {
+				article.series = document.series;
+				article.part = document.part;
+			}
+		}
+		return articles;
+	}
+	,__class__: gitblog_Catalog
+};
+var gitblog_Config = function(params) {
+	if(params.owner == null || params.repo == null) throw new js__$Boot_HaxeError("Config : owner and repo must be set.");
+	this.owner = params.owner;
+	this.repo = params.repo;
+	if(params.branch != null) this.branch = params.branch; else this.branch = "master";
+	if(params.contentDirectory != null) this.contentDirectory = params.contentDirectory; else this.contentDirectory = "content";
+	if(params.apiURL != null) this.apiURL = params.apiURL; else this.apiURL = "https://api.github.com";
+	if(params.rawURL != null) this.rawURL = params.rawURL; else this.rawURL = "https://raw.githubusercontent.com";
+	if(params.source != null) this.source = params.source; else this.source = "api";
+	if(params.cache != null) this.cache = params.cache; else this.cache = { "*" : 300};
+	if(params.mediaType != null) this.mediaType = params.mediaType; else this.mediaType = "json";
+	if(params.pageSize != null) this.pageSize = params.pageSize; else this.pageSize = 10;
+	if(params.pinned != null) this.pinned = params.pinned; else this.pinned = ["Index"];
+	if(params.routing != null) this.routing = params.routing; else this.routing = "hash";
+	if(params.toc != null) this.toc = params.toc; else this.toc = true;
+	this.extensions = params.extensions;
+	this.commonmark = params.commonmark == true;
+	this.sanitizer = params.sanitizer;
+	if(params.basePath != null) this.basePath = params.basePath; else this.basePath = "/";
+	if(!StringTools.endsWith(this.basePath,"/")) this.basePath += "/";
+};
+gitblog_Config.__name__ = true;
+gitblog_Config.load = function(callback) {
+	var element = window.document.getElementById("config");
+	if(element != null) {
+		callback(new gitblog_Config(JSON.parse(element.textContent)));
+		return;
+	}
+	var http = new haxe_Http("config.json");
+	http.onData = function(data) {
+		callback(new gitblog_Config(JSON.parse(data)));
+	};
+	http.onError = function(msg) {
+		console.log("ERROR: Unable to load configuration (" + msg + ").");
+	};
+	http.request(false);
+};
+gitblog_Config.prototype = {
+	repositoryPath: function() {
+		return "/repos/" + this.owner + "/" + this.repo;
+	}
+	,userPath: function() {
+		return "/users/" + this.owner;
+	}
+	,contentsPath: function(path) {
+		return this.repositoryPath() + "/contents/" + path;
+	}
+	,cacheTTL: function(url) {
+		var ttl = Reflect.field(this.cache,"*");
+		var longest = 0;
+		var _g = 0;
+		var _g1 = Reflect.fields(this.cache);
+		while(_g < _g1.length) {
+			var fragment = _g1[_g];
+			++_g;
+			if(fragment != "*" && fragment.length > longest && url.indexOf(fragment) >= 0) {
+				ttl = Reflect.field(this.cache,fragment);
+				longest = fragment.length;
+			}
+		}
+		if(ttl == null) return 0; else return ttl;
+	}
+	,rawPath: function() {
+		return "/" + this.owner + "/" + this.repo + "/" + this.branch + "/";
+	}
+	,__class__: gitblog_Config
+};
 var gitblog_Connection = function(baseURL) {
+	this.followers = [];
 	this.baseURL = baseURL;
 	haxe_Http.call(this,this.baseURL);
 };
 gitblog_Connection.__name__ = true;
 gitblog_Connection.__super__ = haxe_Http;
 gitblog_Connection.prototype = $extend(haxe_Http.prototype,{
-	get: function() {
-		haxe_Http.prototype.request.call(this,false);
+	cacheWith: function(cache,ttl) {
+		this.responseCache = cache;
+		this.ttl = ttl;
 		return this;
 	}
-	,onChange: function(callback) {
-		this.onStatus = callback;
-		return this;
+	,get: function() {
+		return this.send(false);
+	}
+	,load: function(transform,refresh) {
+		if(refresh == null) this.refreshCallback = null; else this.refreshCallback = function(data) {
+			refresh(transform(data));
+		};
+		return this.get().then(transform);
 	}
-	,onFailure: function(callback) {
-		this.onError = callback;
+	,onChange: function(callback) {
+		this.statusCallback = callback;
 		return this;
 	}
-	,onSuccess: function(callback) {
-		this.onData = callback;
+	,onRefresh: function(callback) {
+		this.refreshCallback = callback;
 		return this;
 	}
 	,parameters: function(params) {
@@ -514,79 +1493,873 @@ gitblog_Connection.prototype = $extend(haxe_Http.prototype,{
 		return this;
 	}
 	,post: function() {
-		haxe_Http.prototype.request.call(this,true);
-		return this;
+		return this.send(true);
 	}
-	,__class__: gitblog_Connection
-});
-var gitblog_GitBlog = function() {
-	new frank_App().route({ path : new EReg("^/$",""), controller : new gitblog_controllers_HomeController()}).route({ path : new EReg("^/contents/(.*)$",""), controller : new gitblog_controllers_ContentsController()}).run();
-};
-gitblog_GitBlog.__name__ = true;
-gitblog_GitBlog.main = function() {
-	new gitblog_GitBlog();
-};
-gitblog_GitBlog.prototype = {
-	__class__: gitblog_GitBlog
-};
-var gitblog_controllers_ContentsController = function() {
-	this.content = new gitblog_Connection("https://api.github.com/repos/dstrekelj/dstrekelj.github.io");
-	this.articleView = new gitblog_views_ArticleView();
+	,send: function(post) {
+		var _g = this;
+		this.cancel();
+		this.headers = Lambda.filter(this.headers,function(h) {
+			return h.header != "If-None-Match" && h.header != "If-Modified-Since";
+		});
+		this.cached = null;
+		this.cacheKey = null;
+		this.status = null;
+		this.responseHeaders = new haxe_ds_StringMap();
+		if(!post && this.responseCache != null) {
+			this.cacheKey = this.requestKey();
+			this.cached = this.responseCache.get(this.cacheKey);
+		}
+		return new Promise(function(resolve,reject) {
+			_g.pending = { resolve : resolve, reject : reject};
+			if(_g.cached != null) {
+				resolve(_g.cached.data);
+				if(new Date().getTime() - _g.cached.time < _g.ttl(_g.cacheKey) * 1000) {
+					_g.pending = null;
+					return;
+				}
+				if(_g.cached.etag != null) _g.setHeader("If-None-Match",_g.cached.etag);
+				if(_g.cached.lastModified != null) _g.setHeader("If-Modified-Since",_g.cached.lastModified);
+			}
+			if(post) haxe_Http.prototype.request.call(_g,post); else _g.share();
+		});
+	}
+	,share: function() {
+		var key = this.shareKey();
+		var leader = gitblog_Connection.requests.get(key);
+		if(leader != null) {
+			this.leader = leader;
+			leader.followers.push(this);
+			return;
+		}
+		this.shared = key;
+		gitblog_Connection.requests.set(key,this);
+		haxe_Http.prototype.request.call(this,false);
+	}
+	,release: function() {
+		var followers = this.followers;
+		this.followers = [];
+		if(this.shared != null) {
+			gitblog_Connection.requests.remove(this.shared);
+			this.shared = null;
+		}
+		var _g = 0;
+		while(_g < followers.length) {
+			var follower = followers[_g];
+			++_g;
+			follower.leader = null;
+			follower.onStatus(this.status);
+			follower.responseHeaders = this.responseHeaders;
+			follower.responseData = this.responseData;
+		}
+		return followers;
+	}
+	,cancel: function() {
+		var req = this.req;
+		this.req = null;
+		if(this.leader != null) {
+			HxOverrides.remove(this.leader.followers,this);
+			this.leader = null;
+		}
+		if(req != null) {
+			req.abort();
+			var followers = this.followers;
+			this.followers = [];
+			if(this.shared != null) {
+				gitblog_Connection.requests.remove(this.shared);
+				this.shared = null;
+			}
+			var next = followers.shift();
+			if(next != null) {
+				next.share();
+				var _g = 0;
+				while(_g < followers.length) {
+					var follower = followers[_g];
+					++_g;
+					follower.leader = next;
+					next.followers.push(follower);
+				}
+			}
+		}
+		if(this.pending == null) return;
+		var pending = this.pending;
+		this.pending = null;
+		if(this.cached == null) pending.reject(new gitblog_ConnectionError(gitblog_ErrorKind.Cancelled,null,"Request cancelled"));
+	}
+	,requestKey: function() {
+		var key = this.url;
+		var separator = "?";
+		var _g_head = this.params.h;
+		var _g_val = null;
+		while(_g_head != null) {
+			var p;
+			_g_val = _g_head[0];
+			_g_head = _g_head[1];
+			p = _g_val;
+			key += separator + p.param + "=" + p.value;
+			separator = "&";
+		}
+		return key;
+	}
+	,shareKey: function() {
+		var key = this.requestKey();
+		var _g_head = this.headers.h;
+		var _g_val = null;
+		while(_g_head != null) {
+			var h;
+			_g_val = _g_head[0];
+			_g_head = _g_head[1];
+			h = _g_val;
+			key += "\n" + h.header + ": " + h.value;
+		}
+		return key;
+	}
+	,onStatus: function(status) {
+		this.status = status;
+		if(this.statusCallback != null) this.statusCallback(status);
+	}
+	,onData: function(data) {
+		var followers = this.release();
+		var _g = 0;
+		while(_g < followers.length) {
+			var follower = followers[_g];
+			++_g;
+			follower.onData(data);
+		}
+		var pending = this.pending;
+		this.pending = null;
+		if(this.cacheKey != null) {
+			if(this.status == 304 && this.cached != null) {
+				this.cached.time = new Date().getTime();
+				this.responseCache.set(this.cacheKey,this.cached);
+				return;
+			}
+			this.responseCache.set(this.cacheKey,{ data : data, etag : this.responseHeaders.get("etag"), lastModified : this.responseHeaders.get("last-modified"), time : new Date().getTime()});
+		}
+		if(this.cached == null) pending.resolve(data); else if(this.cached.data != data && this.refreshCallback != null) this.refreshCallback(data);
+	}
+	,onError: function(msg) {
+		var followers = this.release();
+		var _g = 0;
+		while(_g < followers.length) {
+			var follower = followers[_g];
+			++_g;
+			follower.onError(msg);
+		}
+		var pending = this.pending;
+		this.pending = null;
+		if(this.cached != null) return;
+		pending.reject(gitblog_ConnectionError.fromResponse(this.status,this.responseHeaders,this.responseData,msg));
+	}
+	,__class__: gitblog_Connection
+});
+var gitblog_ConnectionError = function(kind,status,message) {
+	this.kind = kind;
+	this.status = status;
+	this.message = message;
+};
+gitblog_ConnectionError.__name__ = true;
+gitblog_ConnectionError.fromResponse = function(status,headers,data,fallback) {
+	var message = fallback;
+	if(data != null && data != "") try {
+		var body = JSON.parse(data);
+		if(body != null && body.message != null) message = body.message;
+	} catch( e ) {
+		if (e instanceof js__$Boot_HaxeError) e = e.val;
+	}
+	if(status == 0) status = null;
+	var remaining = headers.get("x-ratelimit-remaining");
+	var kind;
+	if(status == null || !window.navigator.onLine) kind = gitblog_ErrorKind.Offline; else if((status == 403 || status == 429) && remaining == "0") kind = gitblog_ErrorKind.RateLimited; else if(status == 404) kind = gitblog_ErrorKind.NotFound; else kind = gitblog_ErrorKind.Http;
+	var error = new gitblog_ConnectionError(kind,status,message);
+	if(headers.get("x-ratelimit-limit") != null) error.limit = Std.parseInt(headers.get("x-ratelimit-limit"));
+	if(remaining != null) error.remaining = Std.parseInt(remaining);
+	if(headers.get("x-ratelimit-reset") != null) error.reset = Std.parseInt(headers.get("x-ratelimit-reset"));
+	return error;
+};
+gitblog_ConnectionError.prototype = {
+	secondsUntilReset: function() {
+		if(this.reset == null) return null;
+		var seconds = Math.ceil(this.reset - new Date().getTime() / 1000);
+		if(seconds < 0) return 0; else return seconds;
+	}
+	,toString: function() {
+		return "ConnectionError(" + Std.string(this.kind) + ", " + this.status + "): " + this.message;
+	}
+	,__class__: gitblog_ConnectionError
+};
+var gitblog_ErrorKind = { __ename__ : true, __constructs__ : ["RateLimited","NotFound","Offline","Http","Cancelled"] };
+gitblog_ErrorKind.RateLimited = ["RateLimited",0];
+gitblog_ErrorKind.RateLimited.toString = $estr;
+gitblog_ErrorKind.RateLimited.__enum__ = gitblog_ErrorKind;
+gitblog_ErrorKind.NotFound = ["NotFound",1];
+gitblog_ErrorKind.NotFound.toString = $estr;
+gitblog_ErrorKind.NotFound.__enum__ = gitblog_ErrorKind;
+gitblog_ErrorKind.Offline = ["Offline",2];
+gitblog_ErrorKind.Offline.toString = $estr;
+gitblog_ErrorKind.Offline.__enum__ = gitblog_ErrorKind;
+gitblog_ErrorKind.Http = ["Http",3];
+gitblog_ErrorKind.Http.toString = $estr;
+gitblog_ErrorKind.Http.__enum__ = gitblog_ErrorKind;
+gitblog_ErrorKind.Cancelled = ["Cancelled",4];
+gitblog_ErrorKind.Cancelled.toString = $estr;
+gitblog_ErrorKind.Cancelled.__enum__ = gitblog_ErrorKind;
+var gitblog_FrontMatter = function() { };
+gitblog_FrontMatter.__name__ = true;
+gitblog_FrontMatter.parse = function(text) {
+	var lines = new EReg("(\r\n|\r)","g").replace(text,"\n").split("\n");
+	if(StringTools.trim(lines[0]) != "---") return { data : { }, body : text};
+	var data = { };
+	var key = null;
+	var _g1 = 1;
+	var _g = lines.length;
+	while(_g1 < _g) {
+		var i = _g1++;
+		var line = lines[i];
+		var trimmed = StringTools.trim(line);
+		if(trimmed == "---" || trimmed == "...") return { data : data, body : lines.slice(i + 1).join("\n")};
+		if(trimmed == "" || StringTools.startsWith(trimmed,"#")) continue;
+		if(key != null && gitblog_FrontMatter.RE_ITEM.match(line)) {
+			var list = data[key];
+			if(!((list instanceof Array) && list.__enum__ == null)) {
+				list = [];
+				data[key] = list;
+			}
+			list.push(gitblog_FrontMatter.parseScalar(gitblog_FrontMatter.RE_ITEM.matched(1)));
+			continue;
+		}
+		if(!gitblog_FrontMatter.RE_FIELD.match(line)) return { data : { }, body : text};
+		key = gitblog_FrontMatter.RE_FIELD.matched(1);
+		data[key] = gitblog_FrontMatter.parseValue(StringTools.trim(gitblog_FrontMatter.RE_FIELD.matched(2)));
+	}
+	return { data : { }, body : text};
+};
+gitblog_FrontMatter.parseValue = function(value) {
+	if(value == "") return null;
+	if(StringTools.startsWith(value,"[") && StringTools.endsWith(value,"]")) {
+		var items = [];
+		var inner = StringTools.trim(HxOverrides.substr(value,1,value.length - 2));
+		if(inner == "") return items;
+		var _g = 0;
+		var _g1 = inner.split(",");
+		while(_g < _g1.length) {
+			var item = _g1[_g];
+			++_g;
+			items.push(gitblog_FrontMatter.parseScalar(StringTools.trim(item)));
+		}
+		return items;
+	}
+	return gitblog_FrontMatter.parseScalar(value);
+};
+gitblog_FrontMatter.parseScalar = function(value) {
+	var first = value.charAt(0);
+	if((first == "\"" || first == "'") && value.length > 1 && value.charAt(value.length - 1) == first) {
+		var inner = HxOverrides.substr(value,1,value.length - 2);
+		if(first == "'") return StringTools.replace(inner,"''","'"); else return StringTools.replace(inner,"\\\"","\"");
+	}
+	var _g = value.toLowerCase();
+	switch(_g) {
+	case "true":case "yes":
+		return true;
+	case "false":case "no":
+		return false;
+	case "null":case "~":
+		return null;
+	}
+	if(gitblog_FrontMatter.RE_NUMBER.match(value)) return parseFloat(value);
+	return value;
+};
+var gitblog_GitBlog = function(config) {
+	this.markdown = new Markdown().setOptions({ extensions : config.extensions, strict : config.commonmark});
+	this.embeds = new gitblog_embeds_Embeds();
+	if(!config.commonmark) this.markdown.addBlockSyntax(new gitblog_embeds_EmbedSyntax(this.embeds));
+	gitblog_GitBlog.instance = this;
+	var _g = 0;
+	var _g1 = gitblog_GitBlog.callbacks;
+	while(_g < _g1.length) {
+		var callback = _g1[_g];
+		++_g;
+		callback(this);
+	}
+	var source = gitblog_GitBlog.createSource(config);
+	var catalog = new gitblog_Catalog(source);
+	new frank_App(config.routing,config.basePath).route({ name : "home", path : "/", controller : new gitblog_controllers_HomeController(source,catalog,config)}).route({ name : "article", path : "/articles/:slug", controller : new gitblog_controllers_ContentsController(source,catalog,config,this.markdown,this.embeds)}).route({ name : "contents", path : "/contents/*path", controller : new gitblog_controllers_AliasController(catalog)}).route({ name : "search", path : "/search/:query?", controller : new gitblog_controllers_SearchController(catalog,new gitblog_views_SearchBox("search"))}).route({ name : "tags", path : "/tags", controller : new gitblog_controllers_TagsController(catalog)}).route({ name : "tag", path : "/tags/:tag", controller : new gitblog_controllers_TagController(catalog)}).redirect("","/").otherwise(new gitblog_controllers_NotFoundController()).run();
+};
+gitblog_GitBlog.__name__ = true;
+gitblog_GitBlog.main = function() {
+	if(window.document.readyState == "loading") window.document.addEventListener("DOMContentLoaded",function(_) {
+		gitblog_GitBlog.start();
+	}); else gitblog_GitBlog.start();
+};
+gitblog_GitBlog.start = function() {
+	gitblog_Config.load(function(config) {
+		new gitblog_GitBlog(config);
+	});
+};
+gitblog_GitBlog.setup = $hx_exports.gitblog.setup = function(callback) {
+	if(gitblog_GitBlog.instance != null) callback(gitblog_GitBlog.instance); else gitblog_GitBlog.callbacks.push(callback);
+};
+gitblog_GitBlog.createSource = function(config) {
+	var _g = config.source;
+	switch(_g) {
+	case "api":
+		return new gitblog_sources_GitHubApiSource(config);
+	case "raw":
+		return new gitblog_sources_GitHubRawSource(config);
+	case "local":
+		return new gitblog_sources_LocalSource(config);
+	default:
+		throw new js__$Boot_HaxeError("Unknown content source: " + config.source);
+	}
+};
+gitblog_GitBlog.prototype = {
+	__class__: gitblog_GitBlog
+};
+var gitblog_Sanitizer = function(params) {
+	if(params == null) params = { };
+	if(params.tags != null) this.tags = params.tags; else this.tags = gitblog_Sanitizer.TAGS;
+	if(params.attributes != null) this.attributes = params.attributes; else this.attributes = gitblog_Sanitizer.ATTRIBUTES;
+	if(params.schemes != null) this.schemes = params.schemes; else this.schemes = gitblog_Sanitizer.SCHEMES;
+	if(params.idPrefix != null) this.idPrefix = params.idPrefix; else this.idPrefix = gitblog_Sanitizer.ID_PREFIX;
+};
+gitblog_Sanitizer.__name__ = true;
+gitblog_Sanitizer.prototype = {
+	sanitize: function(html) {
+		var template = window.document.createElement("template");
+		template.innerHTML = html;
+		this.clean(template.content);
+		return template.innerHTML;
+	}
+	,clean: function(parent) {
+		var node = parent.firstChild;
+		while(node != null) {
+			var next = node.nextSibling;
+			if(node.nodeType == 1) {
+				var name = node.nodeName.toLowerCase();
+				if(HxOverrides.indexOf(gitblog_Sanitizer.DROPPED,name,0) >= 0) parent.removeChild(node); else if(HxOverrides.indexOf(this.tags,name,0) < 0) {
+					this.clean(node);
+					while(node.firstChild != null) parent.insertBefore(node.firstChild,node);
+					parent.removeChild(node);
+				} else {
+					this.cleanAttributes(node,name);
+					this.clean(node);
+				}
+			} else if(node.nodeType != 3) parent.removeChild(node);
+			node = next;
+		}
+	}
+	,cleanAttributes: function(element,tag) {
+		var i = element.attributes.length;
+		while(i-- > 0) {
+			var attribute = element.attributes[i];
+			var name = attribute.name.toLowerCase();
+			if(!this.allowsAttribute(tag,name) || HxOverrides.indexOf(gitblog_Sanitizer.URL_ATTRIBUTES,name,0) >= 0 && !this.allowsURL(attribute.value)) element.removeAttribute(attribute.name); else if(name == "id" || name == "name") element.setAttribute(attribute.name,this.idPrefix + attribute.value);
+		}
+		if(tag == "a" && element.getAttribute("target") != null) element.setAttribute("rel","noopener noreferrer");
+	}
+	,allowsAttribute: function(tag,name) {
+		var allowed = [];
+		if(Object.prototype.hasOwnProperty.call(this.attributes,"*")) allowed = allowed.concat(Reflect.field(this.attributes,"*"));
+		if(Object.prototype.hasOwnProperty.call(this.attributes,tag)) allowed = allowed.concat(Reflect.field(this.attributes,tag));
+		var _g = 0;
+		while(_g < allowed.length) {
+			var pattern = allowed[_g];
+			++_g;
+			if(pattern == name || StringTools.endsWith(pattern,"*") && StringTools.startsWith(name,HxOverrides.substr(pattern,0,pattern.length - 1))) return true;
+		}
+		return false;
+	}
+	,allowsURL: function(url) {
+		var normalized = gitblog_Sanitizer.RE_IGNORED.replace(url,"").toLowerCase();
+		if(!gitblog_Sanitizer.RE_SCHEME.match(normalized)) return true;
+		return HxOverrides.indexOf(this.schemes,gitblog_Sanitizer.RE_SCHEME.matched(1),0) >= 0;
+	}
+	,__class__: gitblog_Sanitizer
+};
+var gitblog_controllers_AliasController = function(catalog) {
+	this.catalog = catalog;
+	this.notFoundView = new gitblog_views_NotFoundView();
+};
+gitblog_controllers_AliasController.__name__ = true;
+gitblog_controllers_AliasController.__interfaces__ = [frank_Controller];
+gitblog_controllers_AliasController.prototype = {
+	beforeEnter: function(params) {
+		return this.catalog.resolve(params.path).then(function(article) {
+			if(article == null) return true;
+			return frank_App.link("article",{ slug : article.slug});
+		},function(error) {
+			return true;
+		});
+	}
+	,enter: function(params) {
+		this.notFoundView.update(frank_App.link("contents",params));
+	}
+	,update: function(params) {
+		var _g = this;
+		return this.beforeEnter(params).then(function(result) {
+			if(result == true) _g.enter(params); else frank_App.instance.navigate(frank_App.instance.pathOf(result),true);
+		});
+	}
+	,leave: function() {
+	}
+	,__class__: gitblog_controllers_AliasController
+};
+var gitblog_controllers_ContentsController = function(source,catalog,config,markdown,embeds) {
+	this.source = source;
+	this.catalog = catalog;
+	this.articleView = new gitblog_views_ArticleView(config.toc,markdown,embeds,config.commonmark,new gitblog_Sanitizer(config.sanitizer));
+	this.errorView = new gitblog_views_ErrorView();
+	this.notFoundView = new gitblog_views_NotFoundView();
 };
 gitblog_controllers_ContentsController.__name__ = true;
 gitblog_controllers_ContentsController.__interfaces__ = [frank_Controller];
 gitblog_controllers_ContentsController.prototype = {
-	enter: function(hash) {
+	beforeEnter: function(params) {
+		return true;
+	}
+	,enter: function(params) {
 		var _g = this;
-		this.content.parameters(hash).onSuccess(function(response) {
-			var articleData = JSON.parse(response);
-			var articleModel = new gitblog_models_ArticleModel({ body : articleData.content, timestamp : articleData.name});
-			_g.articleView.update(articleModel);
-		}).get();
+		var slug = params.slug;
+		var navigation = null;
+		var series = null;
+		var current = null;
+		var render = function(model) {
+			var first = current == null;
+			current = model;
+			_g.articleView.update(model,slug,navigation,series);
+			if(first) _g.articleView.scrollTo(_g.section);
+		};
+		this.slug = slug;
+		this.section = params.section;
+		this.catalog.resolve(slug).then(function(article) {
+			if(_g.slug != slug) return null;
+			if(article == null) return Promise.reject(new gitblog_ConnectionError(gitblog_ErrorKind.NotFound,404,"No article with slug " + slug));
+			if(article.slug != slug) {
+				frank_App.go("article",{ slug : article.slug},true);
+				return null;
+			}
+			return Promise.all([_g.source.getArticle(article.path,render),_g.source.listArticles(null)]).then(function(results) {
+				if(_g.slug != slug) return null;
+				navigation = gitblog_Catalog.neighbours(results[1],article);
+				render(results[0]);
+				if(current.series == null) return null;
+				return _g.catalog.describe(results[1]).then(function(articles) {
+					if(_g.slug != slug) return;
+					series = gitblog_Catalog.series(articles,article,current.series);
+					render(current);
+				},function(error) {
+					console.log("WARNING: Unable to load series " + Std.string(current.series) + " (" + Std.string(error) + ").");
+				});
+			});
+		}).then(null,function(error) {
+			if(_g.slug != slug || error.kind == gitblog_ErrorKind.Cancelled) return;
+			if(error.kind == gitblog_ErrorKind.NotFound) {
+				_g.notFoundView.update(frank_App.link("article",params));
+				return;
+			}
+			_g.errorView.update(error,function() {
+				_g.enter(params);
+			});
+		});
+	}
+	,update: function(params) {
+		if(params.slug == this.slug) {
+			this.section = params.section;
+			this.articleView.scrollTo(this.section);
+			return;
+		}
+		this.errorView.stop();
+		this.enter(params);
+	}
+	,leave: function() {
+		this.slug = null;
+		this.source.cancelArticle();
+		this.errorView.stop();
 	}
 	,__class__: gitblog_controllers_ContentsController
 };
-var gitblog_controllers_HomeController = function() {
-	var userApi = new gitblog_Connection("https://api.github.com/users/dstrekelj");
-	var userView = new gitblog_views_UserView();
-	userApi.onSuccess(function(Data) {
-		var userData = JSON.parse(Data);
-		var userModel = new gitblog_models_UserModel({ avatar : userData.avatar_url, name : userData.name, email : userData.email, login : userData.login, location : userData.location, repos : userData.public_repos, url : userData.html_url});
-		userView.update(userModel);
-	}).get();
-	var articlesApi = new gitblog_Connection("https://api.github.com/repos/dstrekelj/dstrekelj.github.io/contents/content");
-	var articlesView = new gitblog_views_ArticlesView();
-	articlesApi.onSuccess(function(Data1) {
-		var articlesData = JSON.parse(Data1);
-		var articlesModels = [];
-		var _g = 0;
-		while(_g < articlesData.length) {
-			var article = articlesData[_g];
-			++_g;
-			articlesModels.push(new gitblog_models_ArticlesModel({ timestamp : article.name, title : article.name, path : article.path}));
-		}
-		articlesView.update(articlesModels);
-	}).get();
+var gitblog_controllers_HomeController = function(source,catalog,config) {
+	this.source = source;
+	this.catalog = catalog;
+	this.userErrorView = new gitblog_views_ErrorView("user");
+	this.articlesErrorView = new gitblog_views_ErrorView("articles");
+	this.userView = new gitblog_views_UserView();
+	this.articlesView = new gitblog_views_ArticlesView(config.pageSize,config.pinned);
+	this.tagCloudView = new gitblog_views_TagCloudView();
+	this.catalog.onUpdate($bind(this,this.renderTags));
+	this.refresh();
 };
 gitblog_controllers_HomeController.__name__ = true;
 gitblog_controllers_HomeController.__interfaces__ = [frank_Controller];
 gitblog_controllers_HomeController.prototype = {
-	enter: function(hash) {
+	beforeEnter: function(params) {
+		return true;
+	}
+	,enter: function(params) {
+		if(this.refreshing == null) this.refresh();
+	}
+	,update: function(params) {
+	}
+	,leave: function() {
+	}
+	,refresh: function() {
+		var _g = this;
+		this.userErrorView.stop();
+		this.articlesErrorView.stop();
+		var renderUser = ($_=this.userView,$bind($_,$_.update));
+		var renderArticles = function(articles) {
+			_g.articlesView.update(articles);
+			_g.renderTags(articles);
+		};
+		var loadProfile = null;
+		loadProfile = function() {
+			return _g.source.getProfile(renderUser).then(renderUser,function(error) {
+				if(error.kind == gitblog_ErrorKind.Cancelled) return;
+				_g.userErrorView.update(error,loadProfile);
+			});
+		};
+		var loadArticles = null;
+		loadArticles = function() {
+			return _g.source.listArticles(renderArticles).then(renderArticles,function(error2) {
+				if(error2.kind == gitblog_ErrorKind.Cancelled) return;
+				_g.articlesErrorView.update(error2,loadArticles);
+			});
+		};
+		var done = function(_) {
+			_g.refreshing = null;
+		};
+		this.refreshing = Promise.all([loadProfile(),loadArticles()]).then(done,done);
+	}
+	,renderTags: function(articles) {
+		this.tagCloudView.update(gitblog_Catalog.groupByTag(this.catalog.withMetadata(articles)));
 	}
 	,__class__: gitblog_controllers_HomeController
 };
+var gitblog_controllers_NotFoundController = function() {
+	this.notFoundView = new gitblog_views_NotFoundView();
+};
+gitblog_controllers_NotFoundController.__name__ = true;
+gitblog_controllers_NotFoundController.__interfaces__ = [frank_Controller];
+gitblog_controllers_NotFoundController.prototype = {
+	beforeEnter: function(params) {
+		return true;
+	}
+	,enter: function(params) {
+		this.notFoundView.update("#" + params.path);
+	}
+	,update: function(params) {
+		this.enter(params);
+	}
+	,leave: function() {
+	}
+	,__class__: gitblog_controllers_NotFoundController
+};
+var gitblog_controllers_SearchController = function(catalog,searchBox) {
+	this.catalog = catalog;
+	this.searchBox = searchBox;
+	this.searchView = new gitblog_views_SearchView();
+	this.errorView = new gitblog_views_ErrorView();
+};
+gitblog_controllers_SearchController.__name__ = true;
+gitblog_controllers_SearchController.__interfaces__ = [frank_Controller];
+gitblog_controllers_SearchController.prototype = {
+	beforeEnter: function(params) {
+		if(params.query == null || StringTools.trim(params.query) == "") return frank_App.link("home");
+		return true;
+	}
+	,enter: function(params) {
+		var _g = this;
+		var query;
+		if(params.query == null) query = ""; else query = params.query;
+		this.query = query;
+		this.searchBox.update(query);
+		this.catalog.load(function(indexed,total) {
+			if(_g.query == query) _g.searchView.progress(indexed,total);
+		}).then(function(_) {
+			if(_g.query != query) return;
+			_g.searchView.update(query,_g.catalog.index.search(query));
+		},function(error) {
+			if(_g.query != query || error.kind == gitblog_ErrorKind.Cancelled) return;
+			_g.errorView.update(error,function() {
+				_g.enter(params);
+			});
+		});
+	}
+	,update: function(params) {
+		if(params.query == null || StringTools.trim(params.query) == "") {
+			frank_App.go("home",null,true);
+			return;
+		}
+		this.errorView.stop();
+		this.enter(params);
+	}
+	,leave: function() {
+		this.query = null;
+		this.errorView.stop();
+	}
+	,__class__: gitblog_controllers_SearchController
+};
+var gitblog_controllers_TagController = function(catalog) {
+	this.catalog = catalog;
+	this.tagView = new gitblog_views_TagView();
+	this.errorView = new gitblog_views_ErrorView();
+};
+gitblog_controllers_TagController.__name__ = true;
+gitblog_controllers_TagController.__interfaces__ = [frank_Controller];
+gitblog_controllers_TagController.prototype = {
+	beforeEnter: function(params) {
+		var slug = gitblog_Catalog.tagSlug(params.tag);
+		if(slug == "") return false;
+		if(slug != params.tag) return frank_App.link("tag",{ tag : slug});
+		return true;
+	}
+	,enter: function(params) {
+		var _g = this;
+		var slug = params.tag;
+		this.slug = slug;
+		this.catalog.list().then(function(articles) {
+			if(_g.slug != slug) return;
+			var tag = null;
+			var _g1 = 0;
+			var _g2 = gitblog_Catalog.groupByTag(articles);
+			while(_g1 < _g2.length) {
+				var t = _g2[_g1];
+				++_g1;
+				if(t.slug == slug) {
+					tag = t;
+					break;
+				}
+			}
+			_g.tagView.update(slug,tag);
+		},function(error) {
+			if(_g.slug != slug || error.kind == gitblog_ErrorKind.Cancelled) return;
+			_g.errorView.update(error,function() {
+				_g.enter(params);
+			});
+		});
+	}
+	,update: function(params) {
+		var slug = gitblog_Catalog.tagSlug(params.tag);
+		if(slug != "" && slug != params.tag) {
+			frank_App.go("tag",{ tag : slug},true);
+			return;
+		}
+		this.errorView.stop();
+		this.enter(params);
+	}
+	,leave: function() {
+		this.slug = null;
+		this.errorView.stop();
+	}
+	,__class__: gitblog_controllers_TagController
+};
+var gitblog_controllers_TagsController = function(catalog) {
+	this.catalog = catalog;
+	this.tagsView = new gitblog_views_TagsView();
+	this.errorView = new gitblog_views_ErrorView();
+};
+gitblog_controllers_TagsController.__name__ = true;
+gitblog_controllers_TagsController.__interfaces__ = [frank_Controller];
+gitblog_controllers_TagsController.prototype = {
+	beforeEnter: function(params) {
+		return true;
+	}
+	,enter: function(params) {
+		var _g = this;
+		this.active = true;
+		this.catalog.list().then(function(articles) {
+			if(!_g.active) return;
+			_g.tagsView.update(gitblog_Catalog.groupByTag(articles));
+		},function(error) {
+			if(!_g.active || error.kind == gitblog_ErrorKind.Cancelled) return;
+			_g.errorView.update(error,function() {
+				_g.enter(params);
+			});
+		});
+	}
+	,update: function(params) {
+	}
+	,leave: function() {
+		this.active = false;
+		this.errorView.stop();
+	}
+	,__class__: gitblog_controllers_TagsController
+};
+var gitblog_embeds_Embed = $hx_exports.gitblog.Embed = function(name,label,pattern,params) {
+	this.name = name;
+	this.label = label;
+	this.pattern = new EReg("^(?:" + pattern + ")$","");
+	this.host = params.host;
+	this.src = params.src;
+	this.srcdoc = params.srcdoc;
+	this.link = params.link;
+	this.sandbox = params.sandbox;
+	this.allow = params.allow;
+};
+gitblog_embeds_Embed.__name__ = true;
+gitblog_embeds_Embed.prototype = {
+	accepts: function(value) {
+		return value != null && this.pattern.match(value);
+	}
+	,createFrame: function(value) {
+		var frame = window.document.createElement("iframe");
+		frame.title = this.label;
+		frame.setAttribute("sandbox",this.sandbox);
+		if(this.allow != null) frame.setAttribute("allow",this.allow);
+		frame.setAttribute("loading","lazy");
+		if(this.srcdoc != null) frame.setAttribute("srcdoc",this.srcdoc(value)); else frame.setAttribute("src",this.src(value));
+		return frame;
+	}
+	,__class__: gitblog_embeds_Embed
+};
+var markdown_BlockSyntax = $hx_exports.gitblog.BlockSyntax = function() {
+};
+markdown_BlockSyntax.__name__ = true;
+markdown_BlockSyntax.get_syntaxes = function() {
+	if(markdown_BlockSyntax.syntaxes == null) markdown_BlockSyntax.syntaxes = [new markdown_EmptyBlockSyntax(),new markdown_BlockHtmlSyntax(),new markdown_SetextHeaderSyntax(),new markdown_HeaderSyntax(),new markdown_CodeBlockSyntax(),new markdown_GitHubCodeBlockSyntax(),new markdown_BlockquoteSyntax(),new markdown_HorizontalRuleSyntax(),new markdown_UnorderedListSyntax(),new markdown_OrderedListSyntax(),new markdown_TableSyntax(),new markdown_ParagraphSyntax()];
+	return markdown_BlockSyntax.syntaxes;
+};
+markdown_BlockSyntax.isAtBlockEnd = function(parser) {
+	if(parser.pos >= parser.lines.length) return true;
+	var _g = 0;
+	var _g1 = parser.document.blockSyntaxes;
+	while(_g < _g1.length) {
+		var syntax = _g1[_g];
+		++_g;
+		if(syntax.canParse(parser) && syntax.get_canEndBlock()) return true;
+	}
+	return false;
+};
+markdown_BlockSyntax.prototype = {
+	get_pattern: function() {
+		return null;
+	}
+	,get_canEndBlock: function() {
+		return true;
+	}
+	,canParse: function(parser) {
+		return this.get_pattern().match(parser.lines[parser.pos]);
+	}
+	,parse: function(parser) {
+		return null;
+	}
+	,parseChildLines: function(parser) {
+		var childLines = [];
+		while(!(parser.pos >= parser.lines.length)) {
+			if(!this.get_pattern().match(parser.lines[parser.pos])) break;
+			childLines.push(this.get_pattern().matched(1));
+			parser.advance();
+		}
+		return childLines;
+	}
+	,__class__: markdown_BlockSyntax
+};
+var gitblog_embeds_EmbedSyntax = function(embeds) {
+	markdown_BlockSyntax.call(this);
+	this.embeds = embeds;
+};
+gitblog_embeds_EmbedSyntax.__name__ = true;
+gitblog_embeds_EmbedSyntax.__super__ = markdown_BlockSyntax;
+gitblog_embeds_EmbedSyntax.prototype = $extend(markdown_BlockSyntax.prototype,{
+	get_pattern: function() {
+		return gitblog_embeds_EmbedSyntax.RE_SHORTCODE;
+	}
+	,canParse: function(parser) {
+		var re = gitblog_embeds_EmbedSyntax.RE_SHORTCODE;
+		if(!re.match(parser.lines[parser.pos])) return false;
+		var embed = this.embeds.get(re.matched(1));
+		return embed != null && embed.accepts(re.matched(2) != null?re.matched(2):"");
+	}
+	,parse: function(parser) {
+		var re = gitblog_embeds_EmbedSyntax.RE_SHORTCODE;
+		re.match(parser.lines[parser.pos]);
+		var embed = this.embeds.get(re.matched(1));
+		var value;
+		if(re.matched(2) != null) value = re.matched(2); else value = "";
+		parser.advance();
+		var label = new markdown_TextNode(StringTools.htmlEscape(embed.label));
+		var link;
+		if(embed.link != null) link = embed.link(value); else link = null;
+		var contents;
+		if(link != null) {
+			var anchor = new markdown_ElementNode("a",[label]);
+			anchor.attributes.set("href",StringTools.htmlEscape(link));
+			contents = anchor;
+		} else contents = label;
+		var element = new markdown_ElementNode("div",[new markdown_ElementNode("p",[contents])]);
+		element.attributes.set("class","embed embed-" + embed.name);
+		element.attributes.set("data-embed",embed.name);
+		element.attributes.set("data-value",StringTools.htmlEscape(value));
+		return element;
+	}
+	,__class__: gitblog_embeds_EmbedSyntax
+});
+var gitblog_embeds_Embeds = function() {
+	this.embeds = new haxe_ds_StringMap();
+	var _g = 0;
+	var _g1 = [gitblog_embeds_Embeds.CODEPEN,gitblog_embeds_Embeds.DEMO,gitblog_embeds_Embeds.GIST,gitblog_embeds_Embeds.YOUTUBE];
+	while(_g < _g1.length) {
+		var embed = _g1[_g];
+		++_g;
+		this.register(embed);
+	}
+};
+gitblog_embeds_Embeds.__name__ = true;
+gitblog_embeds_Embeds.prototype = {
+	register: function(embed) {
+		this.embeds.set(embed.name.toLowerCase(),embed);
+		return this;
+	}
+	,get: function(name) {
+		if(name == null) return null;
+		return this.embeds.get(name.toLowerCase());
+	}
+	,__class__: gitblog_embeds_Embeds
+};
 var gitblog_models_ArticleModel = function(params) {
 	this.body = params.body;
-	this.timestamp = params.timestamp;
+	this.name = params.name;
+	this.title = params.title;
+	this.slug = params.slug;
+	this.aliases = params.aliases;
+	this.series = params.series;
+	this.part = params.part;
+	this.toc = params.toc;
+	this.extensions = params.extensions;
+	this.date = params.date;
+	this.tags = params.tags;
+	this.summary = params.summary;
+	this.draft = params.draft;
+	this.author = params.author;
 };
 gitblog_models_ArticleModel.__name__ = true;
+gitblog_models_ArticleModel.fromMarkdown = function(name,markdown) {
+	var frontMatter = gitblog_FrontMatter.parse(markdown);
+	var meta = frontMatter.data;
+	var file = gitblog_ArticleFile.parse(name);
+	var date = gitblog_ArticleFile.parseDate(meta.date);
+	if(date == null && file != null) date = file.date;
+	var title = meta.title;
+	if(title == null && file != null) title = file.title;
+	return new gitblog_models_ArticleModel({ body : frontMatter.body, name : name, title : title, slug : meta.slug, aliases : meta.aliases, series : meta.series, part : meta.part, toc : meta.toc, extensions : meta.extensions == null?null:gitblog_Catalog.normalizeTags(meta.extensions), date : date, tags : meta.tags, summary : meta.summary, draft : meta.draft == true, author : meta.author});
+};
 gitblog_models_ArticleModel.prototype = {
 	__class__: gitblog_models_ArticleModel
 };
 var gitblog_models_ArticlesModel = function(params) {
-	this.timestamp = params.timestamp;
+	this.name = params.name;
 	this.title = params.title;
+	this.slug = params.slug;
+	this.aliases = params.aliases;
+	this.series = params.series;
+	this.part = params.part;
 	this.path = params.path;
+	this.sha = params.sha;
+	this.date = params.date;
+	this.tags = params.tags;
+	this.summary = params.summary;
+	this.draft = params.draft;
+	this.author = params.author;
+	this.indexed = params.indexed;
 };
 gitblog_models_ArticlesModel.__name__ = true;
 gitblog_models_ArticlesModel.prototype = {
@@ -605,41 +2378,898 @@ gitblog_models_UserModel.__name__ = true;
 gitblog_models_UserModel.prototype = {
 	__class__: gitblog_models_UserModel
 };
-var gitblog_views_ArticleView = function() {
+var gitblog_search_PlainText = function() {
+	this.buffer = new StringBuf();
+};
+gitblog_search_PlainText.__name__ = true;
+gitblog_search_PlainText.__interfaces__ = [markdown_NodeVisitor];
+gitblog_search_PlainText.fromMarkdown = function(markdown) {
+	var document = new Document();
+	var lines = new EReg("(\r\n|\r)","g").replace(markdown,"\n").split("\n");
+	document.parseRefLinks(lines);
+	var blocks = document.parseLines(lines);
+	var visitor = new gitblog_search_PlainText();
+	var _g = 0;
+	while(_g < blocks.length) {
+		var block = blocks[_g];
+		++_g;
+		block.accept(visitor);
+	}
+	var text = gitblog_search_PlainText.RE_TAG.replace(visitor.buffer.b,"");
+	return StringTools.trim(gitblog_search_PlainText.RE_SPACE.replace(StringTools.htmlUnescape(text)," "));
+};
+gitblog_search_PlainText.prototype = {
+	visitText: function(text) {
+		this.buffer.add(text.text);
+	}
+	,visitElementBefore: function(element) {
+		return element.children != null;
+	}
+	,visitElementAfter: function(element) {
+		if(markdown_HtmlRenderer.BLOCK_TAGS.match(element.tag)) this.buffer.b += " ";
+	}
+	,__class__: gitblog_search_PlainText
+};
+var gitblog_search_SearchIndex = function(cache) {
+	this.cache = cache;
+	this.documents = [];
+	this.terms = new haxe_ds_StringMap();
+	var stored = cache.get("index");
+	if(stored == null || stored.schema != gitblog_search_SearchIndex.SCHEMA) return;
+	this.documents = stored.documents;
+	var _g = 0;
+	var _g1 = stored.terms;
+	while(_g < _g1.length) {
+		var entry = _g1[_g];
+		++_g;
+		this.terms.set(entry.term,entry.postings);
+	}
+};
+gitblog_search_SearchIndex.__name__ = true;
+gitblog_search_SearchIndex.versionOf = function(article,model) {
+	if(article.sha != null) return article.sha;
+	if(model == null) return null;
+	return gitblog_search_SearchIndex.hash(JSON.stringify(model));
+};
+gitblog_search_SearchIndex.hash = function(text) {
+	var hash = 5381;
+	var _g1 = 0;
+	var _g = text.length;
+	while(_g1 < _g) {
+		var i = _g1++;
+		hash = (hash << 5) + hash + HxOverrides.cca(text,i) | 0;
+	}
+	return text.length + ":" + hash;
+};
+gitblog_search_SearchIndex.tokenize = function(text) {
+	return gitblog_search_SearchIndex.RE_SEPARATOR.split(text.toLowerCase()).filter(function(token) {
+		return token.length > 1;
+	});
+};
+gitblog_search_SearchIndex.highlight = function(text,tokens) {
+	var re = new EReg(tokens.join("|"),"i");
+	var buf = new StringBuf();
+	var pos = 0;
+	while(re.matchSub(text,pos)) {
+		var p = re.matchedPos();
+		buf.add(StringTools.htmlEscape(HxOverrides.substr(text,pos,p.pos - pos)));
+		buf.add("<mark>" + StringTools.htmlEscape(re.matched(0)) + "</mark>");
+		pos = p.pos + p.len;
+	}
+	buf.add(StringTools.htmlEscape(HxOverrides.substr(text,pos,null)));
+	return buf.b;
+};
+gitblog_search_SearchIndex.snippet = function(text,tokens) {
+	var lower = text.toLowerCase();
+	var first = -1;
+	var _g = 0;
+	while(_g < tokens.length) {
+		var token = tokens[_g];
+		++_g;
+		var pos = lower.indexOf(token);
+		if(pos >= 0 && (first < 0 || pos < first)) first = pos;
+	}
+	if(first < 0) first = 0;
+	var start = Std["int"](Math.max(0,first - gitblog_search_SearchIndex.SNIPPET_CONTEXT));
+	if(start > 0) {
+		var space = text.indexOf(" ",start);
+		if(space >= 0 && space < first) start = space + 1;
+	}
+	var end = Std["int"](Math.min(text.length,start + gitblog_search_SearchIndex.SNIPPET_LENGTH));
+	var snippet = gitblog_search_SearchIndex.highlight(text.substring(start,end),tokens);
+	if(start > 0) snippet = "&hellip;" + snippet;
+	if(end < text.length) snippet += "&hellip;";
+	return snippet;
+};
+gitblog_search_SearchIndex.prototype = {
+	find: function(path) {
+		var _g = 0;
+		var _g1 = this.documents;
+		while(_g < _g1.length) {
+			var document = _g1[_g];
+			++_g;
+			if(document.path == path) return document;
+		}
+		return null;
+	}
+	,paths: function() {
+		var _g = [];
+		var _g1 = 0;
+		var _g2 = this.documents;
+		while(_g1 < _g2.length) {
+			var document = _g2[_g1];
+			++_g1;
+			_g.push(document.path);
+		}
+		return _g;
+	}
+	,add: function(document) {
+		this.remove(document.path);
+		this.documents.push(document);
+		var counts = new haxe_ds_StringMap();
+		var _g = 0;
+		var _g1 = gitblog_search_SearchIndex.tokenize(document.title + " " + document.text);
+		while(_g < _g1.length) {
+			var token = _g1[_g];
+			++_g;
+			var count = counts.get(token);
+			counts.set(token,count == null?1:count + 1);
+		}
+		var titleTokens = gitblog_search_SearchIndex.tokenize(document.title);
+		var $it0 = counts.keys();
+		while( $it0.hasNext() ) {
+			var term = $it0.next();
+			var postings = this.terms.get(term);
+			if(postings == null) {
+				postings = [];
+				this.terms.set(term,postings);
+			}
+			postings.push({ path : document.path, count : counts.get(term), title : HxOverrides.indexOf(titleTokens,term,0) >= 0});
+		}
+	}
+	,remove: function(path) {
+		var document = this.find(path);
+		if(document == null) return;
+		HxOverrides.remove(this.documents,document);
+		var $it0 = this.terms.keys();
+		while( $it0.hasNext() ) {
+			var term = $it0.next();
+			var postings = this.terms.get(term).filter(function(posting) {
+				return posting.path != path;
+			});
+			if(postings.length == 0) this.terms.remove(term); else this.terms.set(term,postings);
+		}
+	}
+	,save: function() {
+		var terms = [];
+		var $it0 = this.terms.keys();
+		while( $it0.hasNext() ) {
+			var term = $it0.next();
+			terms.push({ term : term, postings : this.terms.get(term)});
+		}
+		this.cache.set("index",{ schema : gitblog_search_SearchIndex.SCHEMA, documents : this.documents, terms : terms});
+	}
+	,search: function(query) {
+		var tokens = gitblog_search_SearchIndex.tokenize(query);
+		if(tokens.length == 0) return [];
+		var scores = null;
+		var _g = 0;
+		while(_g < tokens.length) {
+			var token = tokens[_g];
+			++_g;
+			var matches = new haxe_ds_StringMap();
+			var $it0 = this.terms.keys();
+			while( $it0.hasNext() ) {
+				var term = $it0.next();
+				if(!StringTools.startsWith(term,token)) continue;
+				var _g1 = 0;
+				var _g2 = this.terms.get(term);
+				while(_g1 < _g2.length) {
+					var posting = _g2[_g1];
+					++_g1;
+					var score = posting.count;
+					if(posting.title) score += gitblog_search_SearchIndex.TITLE_WEIGHT;
+					if(term == token) score *= 2;
+					var previous = matches.get(posting.path);
+					matches.set(posting.path,previous == null?score:previous + score);
+				}
+			}
+			if(scores != null) {
+				var $it1 = matches.keys();
+				while( $it1.hasNext() ) {
+					var path = $it1.next();
+					var previous1 = scores.get(path);
+					if(previous1 == null) matches.remove(path); else matches.set(path,matches.get(path) + previous1);
+				}
+			}
+			scores = matches;
+		}
+		var results = [];
+		var $it2 = scores.keys();
+		while( $it2.hasNext() ) {
+			var path1 = $it2.next();
+			var document = this.find(path1);
+			results.push({ path : path1, slug : document.slug, title : document.title, score : scores.get(path1), snippet : gitblog_search_SearchIndex.snippet(document.text,tokens)});
+		}
+		results.sort(function(a,b) {
+			return Reflect.compare(b.score,a.score);
+		});
+		return results;
+	}
+	,__class__: gitblog_search_SearchIndex
+};
+var gitblog_sources_ContentSource = function() { };
+gitblog_sources_ContentSource.__name__ = true;
+gitblog_sources_ContentSource.prototype = {
+	__class__: gitblog_sources_ContentSource
+};
+var gitblog_sources_GitHubApiSource = function(config) {
+	var cache = new gitblog_Cache("gitblog:");
+	var ttl = $bind(config,config.cacheTTL);
+	this.cache = cache;
+	this.raw = config.mediaType == "raw";
+	if(this.raw) this.articleCache = new gitblog_Cache("gitblog:raw:"); else this.articleCache = cache;
+	this.config = config;
+	this.ttl = ttl;
+	this.article = this.articleConnection();
+	this.profile = new gitblog_Connection(config.apiURL + config.userPath()).cacheWith(cache,ttl);
+};
+gitblog_sources_GitHubApiSource.__name__ = true;
+gitblog_sources_GitHubApiSource.__interfaces__ = [gitblog_sources_ContentSource];
+gitblog_sources_GitHubApiSource.decodeContent = function(content) {
+	return haxe_crypto_Base64.decode(gitblog_sources_GitHubApiSource.RE_WHITESPACE.replace(content,"")).toString();
+};
+gitblog_sources_GitHubApiSource.toArticlesModels = function(entries,indexed) {
+	if(indexed == null) indexed = false;
+	var articlesModels = [];
+	var slugs = new haxe_ds_StringMap();
+	var _g = 0;
+	while(_g < entries.length) {
+		var entry = entries[_g];
+		++_g;
+		if(entry.type == "dir" || entry.draft == true || HxOverrides.indexOf(gitblog_sources_GitHubApiSource.GENERATED,entry.name,0) >= 0) continue;
+		var file = null;
+		if(gitblog_ArticleFile.isMarkdown(entry.name)) file = gitblog_ArticleFile.parse(entry.name);
+		var date = null;
+		if(file != null || gitblog_ArticleFile.isMarkdown(entry.name)) date = gitblog_ArticleFile.parseDate(entry.date);
+		if(date == null && file != null) date = file.date;
+		if(date == null) {
+			console.log("WARNING: Skipping non-article file " + entry.path + ".");
+			continue;
+		}
+		var title = entry.title;
+		if(title == null && file != null) title = file.title;
+		if(title == null) title = entry.name;
+		var slug;
+		if(entry.slug != null) slug = gitblog_ArticleFile.slugify(Std.string(entry.slug)); else if(file != null) slug = file.slug; else slug = gitblog_ArticleFile.slugify(title);
+		if(slug == "") {
+			if(file != null) slug = file.slug; else slug = DateTools.format(date,"%Y-%m-%d");
+		}
+		slugs.set(slug,true);
+		articlesModels.push(new gitblog_models_ArticlesModel({ name : entry.name, title : title, slug : slug, aliases : entry.aliases == null?null:gitblog_Catalog.normalizeAliases(entry.aliases), series : entry.series, part : entry.part, path : entry.path, sha : entry.sha, date : date, tags : entry.tags, summary : entry.summary, draft : false, author : entry.author, indexed : indexed || entry.indexed == true}));
+	}
+	var sorted = articlesModels.slice();
+	sorted.sort(function(a,b) {
+		if(a.date.getTime() != b.date.getTime()) return Reflect.compare(a.date.getTime(),b.date.getTime());
+		return Reflect.compare(a.name,b.name);
+	});
+	var used = new haxe_ds_StringMap();
+	var _g1 = 0;
+	while(_g1 < sorted.length) {
+		var article = sorted[_g1];
+		++_g1;
+		if(used.get(article.slug) != null) {
+			var count = 2;
+			while(slugs.get(article.slug + "-" + count) != null || used.get(article.slug + "-" + count) != null) count++;
+			article.slug += "-" + count;
+		}
+		used.set(article.slug,true);
+	}
+	return articlesModels;
+};
+gitblog_sources_GitHubApiSource.withIndex = function(entries,index) {
+	var merged = [];
+	var _g = 0;
+	while(_g < entries.length) {
+		var entry = entries[_g];
+		++_g;
+		var copy = { };
+		var _g1 = 0;
+		var _g11 = Reflect.fields(entry);
+		while(_g1 < _g11.length) {
+			var field = _g11[_g1];
+			++_g1;
+			copy[field] = Reflect.field(entry,field);
+		}
+		var _g2 = 0;
+		while(_g2 < index.length) {
+			var meta = index[_g2];
+			++_g2;
+			if(meta.name != entry.name) continue;
+			var _g3 = 0;
+			var _g4 = Reflect.fields(meta);
+			while(_g3 < _g4.length) {
+				var field1 = _g4[_g3];
+				++_g3;
+				if(HxOverrides.indexOf(gitblog_sources_GitHubApiSource.LISTING_FIELDS,field1,0) < 0) copy[field1] = Reflect.field(meta,field1);
+			}
+			copy.indexed = true;
+			break;
+		}
+		merged.push(copy);
+	}
+	return merged;
+};
+gitblog_sources_GitHubApiSource.toUserModel = function(userData) {
+	return new gitblog_models_UserModel({ avatar : userData.avatar_url, name : userData.name, email : userData.email, login : userData.login, location : userData.location, repos : userData.public_repos, url : userData.html_url});
+};
+gitblog_sources_GitHubApiSource.prototype = {
+	listArticles: function(refresh) {
+		var _g = this;
+		var entries = null;
+		var index = null;
+		var models = function() {
+			if(index == null) return gitblog_sources_GitHubApiSource.toArticlesModels(entries);
+			return gitblog_sources_GitHubApiSource.toArticlesModels(gitblog_sources_GitHubApiSource.withIndex(entries,index));
+		};
+		var parse = function(data) {
+			return JSON.parse(data);
+		};
+		return this.articlesConnection().load(parse,function(data) {
+			entries = data;
+			if(refresh != null) refresh(models());
+		}).then(function(data1) {
+			entries = data1;
+			if(!Lambda.exists(entries,function(entry) {
+				return entry.name == "index.json";
+			})) return models();
+			return _g.indexConnection().load(parse,function(data2) {
+				index = data2;
+				if(refresh != null) refresh(models());
+			}).then(function(data3) {
+				index = data3;
+				return models();
+			},function(error) {
+				console.log("WARNING: Unable to load " + _g.config.contentDirectory + "/index.json (" + Std.string(error) + ").");
+				return models();
+			});
+		});
+	}
+	,getArticle: function(path,refresh) {
+		var _g = this;
+		var name = path.substring(path.lastIndexOf("/") + 1);
+		return this.article.parameters("/contents/" + path).load(function(data) {
+			return _g.toArticleModel(name,data);
+		},refresh);
+	}
+	,getProfile: function(refresh) {
+		return this.profile.load(function(data) {
+			return gitblog_sources_GitHubApiSource.toUserModel(JSON.parse(data));
+		},refresh);
+	}
+	,fetchArticle: function(path) {
+		var _g = this;
+		var name = path.substring(path.lastIndexOf("/") + 1);
+		return this.articleConnection().parameters("/contents/" + path).load(function(data) {
+			return _g.toArticleModel(name,data);
+		});
+	}
+	,cancelArticle: function() {
+		this.article.cancel();
+	}
+	,articlesConnection: function() {
+		var connection = new gitblog_Connection(this.config.apiURL + this.config.contentsPath(this.config.contentDirectory)).cacheWith(this.cache,this.ttl);
+		connection.setParameter("ref",this.config.branch);
+		return connection;
+	}
+	,indexConnection: function() {
+		var connection = new gitblog_Connection(this.config.apiURL + this.config.contentsPath(this.config.contentDirectory + "/index.json")).cacheWith(this.cache,this.ttl);
+		connection.setHeader("Accept","application/vnd.github.v3.raw");
+		connection.setParameter("ref",this.config.branch);
+		return connection;
+	}
+	,articleConnection: function() {
+		var connection = new gitblog_Connection(this.config.apiURL + this.config.repositoryPath()).cacheWith(this.articleCache,this.ttl);
+		if(this.raw) connection.setHeader("Accept","application/vnd.github.v3.raw");
+		connection.setParameter("ref",this.config.branch);
+		return connection;
+	}
+	,toArticleModel: function(name,data) {
+		if(this.raw) return gitblog_models_ArticleModel.fromMarkdown(name,data);
+		var articleData = JSON.parse(data);
+		return gitblog_models_ArticleModel.fromMarkdown(articleData.name,gitblog_sources_GitHubApiSource.decodeContent(articleData.content));
+	}
+	,__class__: gitblog_sources_GitHubApiSource
+};
+var gitblog_sources_StaticSource = function(config,baseURL) {
+	var cache = new gitblog_Cache("gitblog:");
+	var ttl = $bind(config,config.cacheTTL);
+	this.indexURL = baseURL + config.contentDirectory + "/index.json";
+	this.article = new gitblog_Connection(baseURL).cacheWith(cache,ttl);
+	this.profile = new gitblog_Connection(baseURL + config.contentDirectory + "/profile.json").cacheWith(cache,ttl);
+	this.cache = cache;
+	this.ttl = ttl;
+	this.baseURL = baseURL;
+};
+gitblog_sources_StaticSource.__name__ = true;
+gitblog_sources_StaticSource.__interfaces__ = [gitblog_sources_ContentSource];
+gitblog_sources_StaticSource.prototype = {
+	listArticles: function(refresh) {
+		return new gitblog_Connection(this.indexURL).cacheWith(this.cache,this.ttl).load(function(data) {
+			return gitblog_sources_GitHubApiSource.toArticlesModels(JSON.parse(data),true);
+		},refresh);
+	}
+	,getArticle: function(path,refresh) {
+		var name = path.substring(path.lastIndexOf("/") + 1);
+		return this.article.parameters(path).load(function(data) {
+			return gitblog_models_ArticleModel.fromMarkdown(name,data);
+		},refresh);
+	}
+	,getProfile: function(refresh) {
+		return this.profile.load(function(data) {
+			return gitblog_sources_GitHubApiSource.toUserModel(JSON.parse(data));
+		},refresh);
+	}
+	,fetchArticle: function(path) {
+		var name = path.substring(path.lastIndexOf("/") + 1);
+		return new gitblog_Connection(this.baseURL).cacheWith(this.cache,this.ttl).parameters(path).load(function(data) {
+			return gitblog_models_ArticleModel.fromMarkdown(name,data);
+		});
+	}
+	,cancelArticle: function() {
+		this.article.cancel();
+	}
+	,__class__: gitblog_sources_StaticSource
+};
+var gitblog_sources_GitHubRawSource = function(config) {
+	gitblog_sources_StaticSource.call(this,config,config.rawURL + config.rawPath());
+};
+gitblog_sources_GitHubRawSource.__name__ = true;
+gitblog_sources_GitHubRawSource.__super__ = gitblog_sources_StaticSource;
+gitblog_sources_GitHubRawSource.prototype = $extend(gitblog_sources_StaticSource.prototype,{
+	__class__: gitblog_sources_GitHubRawSource
+});
+var gitblog_sources_LocalSource = function(config) {
+	gitblog_sources_StaticSource.call(this,config,config.routing == "history"?config.basePath:"");
+};
+gitblog_sources_LocalSource.__name__ = true;
+gitblog_sources_LocalSource.__super__ = gitblog_sources_StaticSource;
+gitblog_sources_LocalSource.prototype = $extend(gitblog_sources_StaticSource.prototype,{
+	__class__: gitblog_sources_LocalSource
+});
+var gitblog_views_ArticleView = function(toc,markdown,embeds,strict,sanitizer) {
 	frank_View.call(this,"article","ArticleTemplate");
+	this.toc = toc;
+	this.strict = strict;
+	this.markdown = markdown;
+	this.embeds = embeds;
+	this.sanitizer = sanitizer;
 };
 gitblog_views_ArticleView.__name__ = true;
 gitblog_views_ArticleView.__super__ = frank_View;
+gitblog_views_ArticleView.copy = function(text) {
+	if(window.navigator.clipboard != null) return window.navigator.clipboard.writeText(text);
+	var textarea = window.document.createElement("textarea");
+	textarea.value = text;
+	textarea.style.position = "fixed";
+	textarea.style.opacity = "0";
+	window.document.body.appendChild(textarea);
+	textarea.select();
+	var copied;
+	try {
+		copied = window.document.execCommand("copy");
+	} catch( e ) {
+		if (e instanceof js__$Boot_HaxeError) e = e.val;
+		copied = false;
+	}
+	window.document.body.removeChild(textarea);
+	if(copied) return Promise.resolve(null); else return Promise.reject("Clipboard unavailable");
+};
+gitblog_views_ArticleView.load = function(element,frame) {
+	while(element.firstChild != null) element.removeChild(element.firstChild);
+	element.appendChild(frame);
+	element.classList.add("loaded");
+};
+gitblog_views_ArticleView.toLink = function(article) {
+	if(article == null) return null;
+	return { title : gitblog_views_ArticlesView.escape(article.title), url : frank_App.link("article",{ slug : article.slug})};
+};
 gitblog_views_ArticleView.prototype = $extend(frank_View.prototype,{
-	update: function(article) {
-		var date = HxOverrides.substr(article.timestamp,0,10);
-		var time = HxOverrides.substr(article.timestamp,11,5).split("-").join(":");
-		article.timestamp = date + " @ " + time;
-		article.body = Markdown.markdownToHtml(window.atob(article.body));
-		frank_View.prototype.update.call(this,{ article : article});
+	update: function(article,slug,navigation,series) {
+		var articleData = { timestamp : article.date != null?gitblog_views_ArticlesView.formatDate(article.date):null, author : gitblog_views_ArticlesView.escape(article.author)};
+		var previous = null;
+		var next = null;
+		if(navigation != null) {
+			previous = gitblog_views_ArticleView.toLink(navigation.previous);
+			next = gitblog_views_ArticleView.toLink(navigation.next);
+		}
+		var seriesData = null;
+		if(series != null) {
+			var parts = [];
+			var position = 0;
+			var _g1 = 0;
+			var _g = series.parts.length;
+			while(_g1 < _g) {
+				var i = _g1++;
+				var part = series.parts[i];
+				var current = part.path == series.current;
+				if(current) position = i + 1;
+				parts.push({ title : gitblog_views_ArticlesView.escape(part.title), url : frank_App.link("article",{ slug : part.slug}), current : current});
+			}
+			seriesData = { name : gitblog_views_ArticlesView.escape(series.name), position : position, total : parts.length, parts : parts};
+		}
+		var rendered = this.markdown.render(article.body,{ extensions : article.extensions});
+		var toc = null;
+		var showToc;
+		if(this.strict) showToc = false; else if(article.toc != null) showToc = article.toc == true; else showToc = this.toc;
+		if(showToc) {
+			toc = [];
+			var _g2 = 0;
+			var _g11 = rendered.headings;
+			while(_g2 < _g11.length) {
+				var heading = _g11[_g2];
+				++_g2;
+				if(heading.level == 2 || heading.level == 3) toc.push({ level : heading.level, text : heading.text, url : frank_App.link("article",{ slug : slug},{ section : heading.id})});
+			}
+			if(toc.length < gitblog_views_ArticleView.TOC_MIN_HEADINGS) toc = null;
+		}
+		frank_View.prototype.update.call(this,{ article : articleData, body : this.sanitizer.sanitize(rendered.html), toc : toc, series : seriesData, navigation : previous != null || next != null, previous : previous, next : next});
+		if(!this.strict) {
+			var _g3 = 0;
+			while(_g3 < rendered.headings.length) {
+				var heading1 = rendered.headings[_g3];
+				++_g3;
+				var element = this.findElement(heading1.id);
+				if(element == null) continue;
+				var anchor = window.document.createElement("a");
+				anchor.className = "anchor";
+				anchor.setAttribute("href",frank_App.link("article",{ slug : slug},{ section : heading1.id}));
+				anchor.textContent = "#";
+				element.appendChild(anchor);
+			}
+		}
+		this.linkSections(slug);
 		highlightly_Highlightly.highlight();
+		this.addCopyButtons();
+		this.addEmbeds();
+	}
+	,linkSections: function(slug) {
+		var anchors = this.parentElement.getElementsByTagName("a");
+		var _g1 = 0;
+		var _g = anchors.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			var href = anchors[i].getAttribute("href");
+			if(href == null || href.length < 2 || !StringTools.startsWith(href,"#") || StringTools.startsWith(href,"#/")) continue;
+			anchors[i].setAttribute("href",frank_App.link("article",{ slug : slug},{ section : frank_Route.decode(HxOverrides.substr(href,1,null))}));
+		}
+	}
+	,addCopyButtons: function() {
+		var blocks = this.parentElement.getElementsByTagName("pre");
+		var _g1 = 0;
+		var _g = blocks.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			var code = [blocks[i].getElementsByTagName("code")[0]];
+			if(code[0] == null) continue;
+			var button = [window.document.createElement("button")];
+			button[0].className = "copy";
+			button[0].setAttribute("type","button");
+			button[0].textContent = "Copy";
+			button[0].addEventListener("click",(function(button,code) {
+				return function(event) {
+					gitblog_views_ArticleView.copy(code[0].textContent).then(function(_) {
+						button[0].textContent = "Copied";
+					},function(error) {
+						button[0].textContent = "Copy failed";
+					}).then(function(_1) {
+						window.setTimeout(function() {
+							button[0].textContent = "Copy";
+						},2000);
+					});
+				};
+			})(button,code));
+			blocks[i].insertBefore(button[0],blocks[i].firstChild);
+		}
+	}
+	,addEmbeds: function() {
+		var elements = this.parentElement.querySelectorAll("div.embed[data-embed]");
+		var _g1 = 0;
+		var _g = elements.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			var element = [elements[i]];
+			var embed = [this.embeds.get(element[0].getAttribute("data-embed"))];
+			var value = [element[0].getAttribute("data-value")];
+			if(embed[0] == null || !embed[0].accepts(value[0])) continue;
+			if(embed[0].host == null) {
+				gitblog_views_ArticleView.load(element[0],embed[0].createFrame(value[0]));
+				continue;
+			}
+			var notice = window.document.createElement("p");
+			notice.className = "notice";
+			notice.textContent = "This embed is loaded from " + embed[0].host + " only after you click the button.";
+			element[0].appendChild(notice);
+			var button = window.document.createElement("button");
+			button.className = "load";
+			button.setAttribute("type","button");
+			button.textContent = "Load " + embed[0].label;
+			button.addEventListener("click",(function(value,embed,element) {
+				return function(event) {
+					gitblog_views_ArticleView.load(element[0],embed[0].createFrame(value[0]));
+				};
+			})(value,embed,element));
+			element[0].appendChild(button);
+		}
+	}
+	,scrollTo: function(section) {
+		if(section == null) {
+			window.scrollTo(0,0);
+			return;
+		}
+		var element = this.findElement(section);
+		if(element != null) element.scrollIntoView();
+	}
+	,findElement: function(id) {
+		var elements = this.parentElement.querySelectorAll("[id]");
+		var _g1 = 0;
+		var _g = elements.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			if(elements[i].id == this.sanitizer.idPrefix + id) return elements[i];
+		}
+		return null;
+	}
+	,__class__: gitblog_views_ArticleView
+});
+var gitblog_views_ArticlesView = function(pageSize,pinned) {
+	frank_View.call(this,"articles","ArticlesTemplate");
+	this.pageSize = pageSize;
+	this.pinned = pinned;
+	this.articles = [];
+	this.pages = 1;
+};
+gitblog_views_ArticlesView.__name__ = true;
+gitblog_views_ArticlesView.__super__ = frank_View;
+gitblog_views_ArticlesView.formatDate = function(date) {
+	if(date.getHours() == 0 && date.getMinutes() == 0) return DateTools.format(date,"%Y-%m-%d");
+	return DateTools.format(date,"%Y-%m-%d @ %H:%M");
+};
+gitblog_views_ArticlesView.escape = function(value) {
+	if(value == null) return null;
+	return StringTools.htmlEscape(Std.string(value),true);
+};
+gitblog_views_ArticlesView.toItem = function(article) {
+	return { title : gitblog_views_ArticlesView.escape(article.title), url : frank_App.link("article",{ slug : article.slug}), timestamp : gitblog_views_ArticlesView.formatDate(article.date), summary : gitblog_views_ArticlesView.escape(article.summary), date : article.date};
+};
+gitblog_views_ArticlesView.toTagItem = function(tag) {
+	return { name : gitblog_views_ArticlesView.escape(tag.name), url : frank_App.link("tag",{ tag : tag.slug}), count : tag.count};
+};
+gitblog_views_ArticlesView.sortNewestFirst = function(a,b) {
+	return Reflect.compare(b.date.getTime(),a.date.getTime());
+};
+gitblog_views_ArticlesView.group = function(articles) {
+	var groups = [];
+	var current = null;
+	var _g = 0;
+	while(_g < articles.length) {
+		var article = articles[_g];
+		++_g;
+		var label = gitblog_views_ArticlesView.MONTHS[article.date.getMonth()] + " " + article.date.getFullYear();
+		if(current == null || current.label != label) {
+			current = { label : label, articles : []};
+			groups.push(current);
+		}
+		current.articles.push(article);
+	}
+	return groups;
+};
+gitblog_views_ArticlesView.prototype = $extend(frank_View.prototype,{
+	update: function(articles) {
+		this.articles = articles.slice();
+		this.articles.sort(gitblog_views_ArticlesView.sortNewestFirst);
+		this.render();
+	}
+	,loadMore: function() {
+		this.pages++;
+		this.render();
+	}
+	,isPinned: function(article) {
+		return HxOverrides.indexOf(this.pinned,article.title,0) >= 0 || HxOverrides.indexOf(this.pinned,article.slug,0) >= 0 || HxOverrides.indexOf(this.pinned,article.name,0) >= 0;
+	}
+	,render: function() {
+		var pinned = [];
+		var listed = [];
+		var _g = 0;
+		var _g1 = this.articles;
+		while(_g < _g1.length) {
+			var article = _g1[_g];
+			++_g;
+			var item = gitblog_views_ArticlesView.toItem(article);
+			if(this.isPinned(article)) pinned.push(item); else listed.push(item);
+		}
+		var visible = listed.slice(0,this.pageSize * this.pages);
+		var more = listed.length - visible.length;
+		frank_View.prototype.update.call(this,{ pinned : pinned.length > 0?pinned:null, groups : gitblog_views_ArticlesView.group(visible), more : more > 0?more:null});
+		var button = this.parentElement.querySelector("button.more");
+		if(button != null) button.addEventListener("click",$bind(this,this.loadMore));
+	}
+	,__class__: gitblog_views_ArticlesView
+});
+var gitblog_views_ErrorView = function(parentElementID) {
+	if(parentElementID == null) parentElementID = "article";
+	frank_View.call(this,parentElementID,"ErrorTemplate");
+};
+gitblog_views_ErrorView.__name__ = true;
+gitblog_views_ErrorView.__super__ = frank_View;
+gitblog_views_ErrorView.prototype = $extend(frank_View.prototype,{
+	update: function(error,retry) {
+		this.stop();
+		if(!js_Boot.__instanceof(error,gitblog_ConnectionError)) error = new gitblog_ConnectionError(gitblog_ErrorKind.Http,null,Std.string(error));
+		var seconds = null;
+		var title;
+		var description;
+		var _g = error.kind;
+		switch(_g[1]) {
+		case 0:
+			title = "Slow down!";
+			description = "The GitHub API allows " + (error.limit != null?error.limit:60) + " requests per hour, and they have all been used up.";
+			seconds = error.secondsUntilReset();
+			if(seconds == null) seconds = 60;
+			break;
+		case 1:
+			title = "Not found";
+			description = "The requested content does not exist. It may have been moved or deleted.";
+			break;
+		case 2:
+			title = "You appear to be offline";
+			description = "Unable to reach the content server. Please check your connection.";
+			seconds = 15;
+			break;
+		case 3:
+			title = "Something went wrong";
+			if(error.status == null) description = "Unable to display content (" + StringTools.htmlEscape(error.message) + ")."; else description = "The content server responded with status " + error.status + " (" + StringTools.htmlEscape(error.message) + ").";
+			seconds = 30;
+			break;
+		case 4:
+			return;
+		}
+		frank_View.prototype.update.call(this,{ error : { title : title, description : description, retry : seconds != null && retry != null, seconds : seconds}});
+		if(seconds == null || retry == null) return;
+		var countdown = this.parentElement.querySelector(".countdown");
+		var timer = this.timer = new haxe_Timer(1000);
+		timer.run = function() {
+			if(!window.document.body.contains(countdown)) {
+				timer.stop();
+				return;
+			}
+			seconds--;
+			countdown.textContent = "" + seconds;
+			if(seconds <= 0) {
+				timer.stop();
+				retry();
+			}
+		};
 	}
-	,__class__: gitblog_views_ArticleView
+	,stop: function() {
+		if(this.timer == null) return;
+		this.timer.stop();
+		this.timer = null;
+	}
+	,__class__: gitblog_views_ErrorView
 });
-var gitblog_views_ArticlesView = function() {
-	frank_View.call(this,"articles","ArticlesTemplate");
+var gitblog_views_NotFoundView = function() {
+	frank_View.call(this,"article","NotFoundTemplate");
 };
-gitblog_views_ArticlesView.__name__ = true;
-gitblog_views_ArticlesView.__super__ = frank_View;
-gitblog_views_ArticlesView.prototype = $extend(frank_View.prototype,{
-	update: function(articles) {
+gitblog_views_NotFoundView.__name__ = true;
+gitblog_views_NotFoundView.__super__ = frank_View;
+gitblog_views_NotFoundView.prototype = $extend(frank_View.prototype,{
+	update: function(hash) {
+		frank_View.prototype.update.call(this,{ hash : StringTools.htmlEscape(hash,true), homeURL : frank_App.link("home")});
+	}
+	,__class__: gitblog_views_NotFoundView
+});
+var gitblog_views_SearchBox = function(formID) {
+	var _g = this;
+	this.form = window.document.getElementById(formID);
+	if(this.form == null) return;
+	this.input = this.form.querySelector("input");
+	this.form.addEventListener("submit",function(event) {
+		event.preventDefault();
+		frank_App.go("search",{ query : StringTools.trim(_g.input.value)});
+	});
+};
+gitblog_views_SearchBox.__name__ = true;
+gitblog_views_SearchBox.prototype = {
+	update: function(query) {
+		if(this.input != null) this.input.value = query;
+	}
+	,__class__: gitblog_views_SearchBox
+};
+var gitblog_views_SearchView = function() {
+	frank_View.call(this,"article","SearchTemplate");
+};
+gitblog_views_SearchView.__name__ = true;
+gitblog_views_SearchView.__super__ = frank_View;
+gitblog_views_SearchView.prototype = $extend(frank_View.prototype,{
+	update: function(query,results) {
+		var summary;
+		if(results.length == 0) summary = "No articles match"; else if(results.length == 1) summary = "1 article matches"; else summary = results.length + " articles match";
 		var _g = 0;
-		while(_g < articles.length) {
-			var article = articles[_g];
+		while(_g < results.length) {
+			var result = results[_g];
 			++_g;
-			var date = HxOverrides.substr(article.timestamp,0,10);
-			var time = HxOverrides.substr(article.timestamp,11,5).split("-").join(":");
-			article.timestamp = date + " @ " + time;
-			article.title = article.title.substring(17,article.title.length - 3).split("-").join(" ");
+			result.url = frank_App.link("article",{ slug : result.slug});
+			result.title = gitblog_views_ArticlesView.escape(result.title);
 		}
-		frank_View.prototype.update.call(this,{ articles : articles});
+		frank_View.prototype.update.call(this,{ query : StringTools.htmlEscape(query,true), summary : summary, results : results});
 	}
-	,__class__: gitblog_views_ArticlesView
+	,progress: function(indexed,total) {
+		frank_View.prototype.update.call(this,{ indexing : true, indexed : indexed, total : total});
+	}
+	,__class__: gitblog_views_SearchView
+});
+var gitblog_views_TagCloudView = function() {
+	frank_View.call(this,"tags","TagCloudTemplate");
+};
+gitblog_views_TagCloudView.__name__ = true;
+gitblog_views_TagCloudView.__super__ = frank_View;
+gitblog_views_TagCloudView.prototype = $extend(frank_View.prototype,{
+	update: function(tags) {
+		var min = 0;
+		var max = 0;
+		var _g = 0;
+		while(_g < tags.length) {
+			var tag = tags[_g];
+			++_g;
+			if(min == 0 || tag.count < min) min = tag.count;
+			if(tag.count > max) max = tag.count;
+		}
+		var sorted = tags.slice();
+		sorted.sort(function(a,b) {
+			return Reflect.compare(a.name.toLowerCase(),b.name.toLowerCase());
+		});
+		var items = [];
+		var _g1 = 0;
+		while(_g1 < sorted.length) {
+			var tag1 = sorted[_g1];
+			++_g1;
+			var item = gitblog_views_ArticlesView.toTagItem(tag1);
+			if(max == min) item.size = 3; else item.size = 1 + Math.round((tag1.count - min) / (max - min) * 4);
+			items.push(item);
+		}
+		frank_View.prototype.update.call(this,{ tags : items.length > 0?items:null});
+	}
+	,__class__: gitblog_views_TagCloudView
+});
+var gitblog_views_TagView = function() {
+	frank_View.call(this,"article","TagTemplate");
+};
+gitblog_views_TagView.__name__ = true;
+gitblog_views_TagView.__super__ = frank_View;
+gitblog_views_TagView.prototype = $extend(frank_View.prototype,{
+	update: function(slug,tag) {
+		var sorted;
+		if(tag == null) sorted = []; else sorted = tag.articles.slice();
+		sorted.sort(gitblog_views_ArticlesView.sortNewestFirst);
+		var articles = sorted.map(gitblog_views_ArticlesView.toItem);
+		var summary;
+		if(articles.length == 0) summary = "No articles"; else if(articles.length == 1) summary = "1 article"; else summary = articles.length + " articles";
+		frank_View.prototype.update.call(this,{ name : gitblog_views_ArticlesView.escape(tag == null?slug:tag.name), summary : summary, articles : articles, tagsURL : frank_App.link("tags")});
+	}
+	,__class__: gitblog_views_TagView
+});
+var gitblog_views_TagsView = function() {
+	frank_View.call(this,"article","TagsTemplate");
+};
+gitblog_views_TagsView.__name__ = true;
+gitblog_views_TagsView.__super__ = frank_View;
+gitblog_views_TagsView.prototype = $extend(frank_View.prototype,{
+	update: function(tags) {
+		var items = tags.map(gitblog_views_ArticlesView.toTagItem);
+		frank_View.prototype.update.call(this,{ tags : items.length > 0?items:null});
+	}
+	,__class__: gitblog_views_TagsView
 });
 var gitblog_views_UserView = function() {
 	frank_View.call(this,"user","UserTemplate");
@@ -1075,6 +3705,23 @@ haxe_Template.prototype = {
 	}
 	,__class__: haxe_Template
 };
+var haxe_Timer = function(time_ms) {
+	var me = this;
+	this.id = setInterval(function() {
+		me.run();
+	},time_ms);
+};
+haxe_Timer.__name__ = true;
+haxe_Timer.prototype = {
+	stop: function() {
+		if(this.id == null) return;
+		clearInterval(this.id);
+		this.id = null;
+	}
+	,run: function() {
+	}
+	,__class__: haxe_Timer
+};
 var haxe_io_Bytes = function(data) {
 	this.length = data.byteLength;
 	this.b = new Uint8Array(data);
@@ -1216,6 +3863,10 @@ haxe_ds_StringMap.prototype = {
 		if(__map_reserved[key] != null) return this.getReserved(key);
 		return this.h[key];
 	}
+	,exists: function(key) {
+		if(__map_reserved[key] != null) return this.existsReserved(key);
+		return this.h.hasOwnProperty(key);
+	}
 	,setReserved: function(key,value) {
 		if(this.rh == null) this.rh = { };
 		this.rh["$" + key] = value;
@@ -1223,6 +3874,22 @@ haxe_ds_StringMap.prototype = {
 	,getReserved: function(key) {
 		if(this.rh == null) return null; else return this.rh["$" + key];
 	}
+	,existsReserved: function(key) {
+		if(this.rh == null) return false;
+		return this.rh.hasOwnProperty("$" + key);
+	}
+	,remove: function(key) {
+		if(__map_reserved[key] != null) {
+			key = "$" + key;
+			if(this.rh == null || !this.rh.hasOwnProperty(key)) return false;
+			delete(this.rh[key]);
+			return true;
+		} else {
+			if(!this.h.hasOwnProperty(key)) return false;
+			delete(this.h[key]);
+			return true;
+		}
+	}
 	,keys: function() {
 		var _this = this.arrayKeys();
 		return HxOverrides.iter(_this);
@@ -1296,32 +3963,201 @@ haxe_io_FPHelper.doubleToI64 = function(v) {
 	}
 	return i64;
 };
-var highlightly_Highlightly = function() { };
+var highlightly_Grammar = $hx_exports.gitblog.Grammar = function(name,aliases,rules) {
+	this.name = name;
+	this.aliases = aliases;
+	this.rules = rules;
+	this.groups = [];
+	var sources = [];
+	var group = 1;
+	var _g = 0;
+	while(_g < rules.length) {
+		var rule = rules[_g];
+		++_g;
+		sources.push("(" + rule.pattern + ")");
+		this.groups.push(group);
+		group += 1 + highlightly_Grammar.countGroups(rule.pattern);
+	}
+	this.pattern = new EReg(sources.join("|"),"gm");
+};
+highlightly_Grammar.__name__ = true;
+highlightly_Grammar.countGroups = function(pattern) {
+	var count = 0;
+	var inClass = false;
+	var i = 0;
+	while(i < pattern.length) {
+		var c = pattern.charAt(i);
+		if(c == "\\") i++; else if(inClass) {
+			if(c == "]") inClass = false;
+		} else if(c == "[") inClass = true; else if(c == "(") {
+			if(pattern.charAt(i + 1) != "?") count++; else if(pattern.charAt(i + 2) == "<" && pattern.charAt(i + 3) != "=" && pattern.charAt(i + 3) != "!") count++;
+		}
+		i++;
+	}
+	return count;
+};
+highlightly_Grammar.prototype = {
+	tokenize: function(code) {
+		var tokens = [];
+		var pos = 0;
+		var plain = 0;
+		while(pos < code.length && this.pattern.matchSub(code,pos)) {
+			var match = this.pattern.matchedPos();
+			if(match.len == 0) {
+				pos = match.pos + 1;
+				continue;
+			}
+			var rule = null;
+			var _g1 = 0;
+			var _g = this.rules.length;
+			while(_g1 < _g) {
+				var i = _g1++;
+				if(this.pattern.matched(this.groups[i]) != null) {
+					rule = this.rules[i];
+					break;
+				}
+			}
+			if(match.pos > plain) tokens.push({ rule : null, text : HxOverrides.substr(code,plain,match.pos - plain)});
+			tokens.push({ rule : rule, text : this.pattern.matched(0)});
+			pos = plain = match.pos + match.len;
+		}
+		if(plain < code.length) tokens.push({ rule : null, text : HxOverrides.substr(code,plain,null)});
+		return tokens;
+	}
+	,highlight: function(code) {
+		var buffer_b = "";
+		var _g = 0;
+		var _g1 = this.tokenize(code);
+		while(_g < _g1.length) {
+			var token = _g1[_g];
+			++_g;
+			var html;
+			if(token.rule != null && token.rule.inside != null) html = token.rule.inside.highlight(token.text); else html = StringTools.htmlEscape(token.text);
+			if(token.rule == null || token.rule.kind == null) buffer_b += html; else buffer_b += "<span class=\"" + token.rule.kind + "\">" + html + "</span>";
+		}
+		return buffer_b;
+	}
+	,__class__: highlightly_Grammar
+};
+var highlightly_Grammars = function() { };
+highlightly_Grammars.__name__ = true;
+var highlightly_Highlightly = $hx_exports.gitblog.Highlightly = function() { };
 highlightly_Highlightly.__name__ = true;
+highlightly_Highlightly.defaults = function() {
+	var grammars = new haxe_ds_StringMap();
+	var _g = 0;
+	var _g1 = [highlightly_Grammars.CSS,highlightly_Grammars.DIFF,highlightly_Grammars.HAXE,highlightly_Grammars.HTML,highlightly_Grammars.JAVASCRIPT,highlightly_Grammars.JSON,highlightly_Grammars.PYTHON,highlightly_Grammars.SHELL];
+	while(_g < _g1.length) {
+		var grammar = _g1[_g];
+		++_g;
+		grammars.set(grammar.name,grammar);
+		var _g2 = 0;
+		var _g3 = grammar.aliases;
+		while(_g2 < _g3.length) {
+			var alias = _g3[_g2];
+			++_g2;
+			grammars.set(alias,grammar);
+		}
+	}
+	return grammars;
+};
+highlightly_Highlightly.register = function(grammar) {
+	highlightly_Highlightly.grammars.set(grammar.name.toLowerCase(),grammar);
+	var _g = 0;
+	var _g1 = grammar.aliases;
+	while(_g < _g1.length) {
+		var alias = _g1[_g];
+		++_g;
+		highlightly_Highlightly.grammars.set(alias.toLowerCase(),grammar);
+	}
+};
+highlightly_Highlightly.grammar = function(language) {
+	if(language == null) return null;
+	return highlightly_Highlightly.grammars.get(language.toLowerCase());
+};
+highlightly_Highlightly.highlightCode = function(code,language) {
+	var grammar = highlightly_Highlightly.grammar(language);
+	if(grammar == null) return StringTools.htmlEscape(code);
+	return grammar.highlight(code);
+};
 highlightly_Highlightly.highlight = function() {
-	var elements = window.document.getElementsByClassName("prettyprint");
-	var regexHTML = new EReg("</{0,1}([A-Z][A-Z0-9]*)\\b[^>]*>","gi");
-	var regexHaxeKeywords = new EReg("^(?!(\\s*\t*//))(.*)\\b(break|case|cast|catch|class|continue|default|do|dynamic|else|enum|extends|extern|false|for|function|if|implements|import|in|inline|interface|never|new|null|override|package|private|public|return|static|super|switch|this|throw|trace|true|try|typedef|untyped|using|var|while){1}\\b","gim");
-	var regexHaxeComments = new EReg("(//(.*))|(/\\*(\\*(?!/)|[^*])*\\*/)","igm");
+	var elements = window.document.querySelectorAll(".prettyprint, code[class^=\"language-\"]");
 	var _g = 0;
 	while(_g < elements.length) {
 		var element = elements[_g];
 		++_g;
-		var classList = element.classList;
-		var html = StringTools.htmlUnescape(element.innerHTML);
-		if(classList.contains("html")) element.innerHTML = regexHTML.map(html,highlightly_Highlightly.matchKeyword); else if(classList.contains("haxe")) {
-			html = StringTools.htmlUnescape(regexHaxeKeywords.map(html,highlightly_Highlightly.matchKeyword));
-			element.innerHTML = regexHaxeComments.map(html,highlightly_Highlightly.matchComment);
+		var grammar = null;
+		var _g1 = 0;
+		var _g2 = element.className.split(" ");
+		while(_g1 < _g2.length) {
+			var name = _g2[_g1];
+			++_g1;
+			if(StringTools.startsWith(name,"language-")) name = HxOverrides.substr(name,"language-".length,null);
+			if(name != "prettyprint" && (grammar = highlightly_Highlightly.grammar(name)) != null) break;
+		}
+		var ranges = element.getAttribute("data-highlight");
+		if(ranges == null && !element.classList.contains("numbered")) {
+			if(grammar != null) element.innerHTML = grammar.highlight(element.textContent);
+			continue;
 		}
+		var html;
+		if(grammar != null) html = grammar.highlight(element.textContent); else html = StringTools.htmlEscape(element.textContent);
+		element.innerHTML = highlightly_Highlightly.splitLines(html,highlightly_Highlightly.parseRanges(ranges));
 	}
 };
-highlightly_Highlightly.matchKeyword = function(regex) {
-	var match = regex.matched(0);
-	return "<span class=\"keyword\">" + StringTools.htmlEscape(match) + "</span>";
-};
-highlightly_Highlightly.matchComment = function(regex) {
-	var match = regex.matched(0);
-	return "<span class=\"comment\">" + StringTools.htmlEscape(match) + "</span>";
+highlightly_Highlightly.parseRanges = function(text) {
+	var lines = [];
+	if(text == null) return lines;
+	var _g = 0;
+	var _g1 = text.split(",");
+	while(_g < _g1.length) {
+		var range = _g1[_g];
+		++_g;
+		var bounds = range.split("-");
+		var from = Std.parseInt(bounds[0]);
+		var to;
+		if(bounds.length > 1) to = Std.parseInt(bounds[1]); else to = from;
+		if(from == null || to == null) continue;
+		while(from <= to) lines.push(from++);
+	}
+	return lines;
+};
+highlightly_Highlightly.splitLines = function(html,highlighted) {
+	var re = highlightly_Highlightly.RE_MARKUP;
+	var open = [];
+	var lines = [];
+	var line = "";
+	var pos = 0;
+	while(re.matchSub(html,pos)) {
+		var match = re.matchedPos();
+		line += HxOverrides.substr(html,pos,match.pos - pos);
+		pos = match.pos + match.len;
+		var markup = re.matched(0);
+		if(markup == "\n") {
+			var _g1 = 0;
+			var _g = open.length;
+			while(_g1 < _g) {
+				_g1++;
+				line += "</span>";
+			}
+			lines.push(line);
+			line = open.join("");
+		} else {
+			if(markup == "</span>") open.pop(); else open.push(markup);
+			line += markup;
+		}
+	}
+	lines.push(line + HxOverrides.substr(html,pos,null));
+	var buffer = [];
+	var _g11 = 0;
+	var _g2 = lines.length;
+	while(_g11 < _g2) {
+		var i = _g11++;
+		var className;
+		if(HxOverrides.indexOf(highlighted,i + 1,0) >= 0) className = "line highlighted"; else className = "line";
+		buffer.push("<span class=\"" + className + "\">" + lines[i] + "</span>");
+	}
+	return buffer.join("\n");
 };
 var js__$Boot_HaxeError = function(val) {
 	Error.call(this);
@@ -1470,6 +4306,26 @@ js_Boot.__resolveNativeClass = function(name) {
 };
 var js_Browser = function() { };
 js_Browser.__name__ = true;
+js_Browser.getLocalStorage = function() {
+	try {
+		var s = window.localStorage;
+		s.getItem("");
+		return s;
+	} catch( e ) {
+		if (e instanceof js__$Boot_HaxeError) e = e.val;
+		return null;
+	}
+};
+js_Browser.getSessionStorage = function() {
+	try {
+		var s = window.sessionStorage;
+		s.getItem("");
+		return s;
+	} catch( e ) {
+		if (e instanceof js__$Boot_HaxeError) e = e.val;
+		return null;
+	}
+};
 js_Browser.createXMLHttpRequest = function() {
 	if(typeof XMLHttpRequest != "undefined") return new XMLHttpRequest();
 	if(typeof ActiveXObject != "undefined") return new ActiveXObject("Microsoft.XMLHTTP");
@@ -1667,7 +4523,7 @@ markdown_NodeVisitor.__name__ = true;
 markdown_NodeVisitor.prototype = {
 	__class__: markdown_NodeVisitor
 };
-var markdown_ElementNode = function(tag,children) {
+var markdown_ElementNode = $hx_exports.gitblog.ElementNode = function(tag,children) {
 	this.tag = tag;
 	this.children = children;
 	this.attributes = new haxe_ds_StringMap();
@@ -1701,7 +4557,7 @@ markdown_ElementNode.prototype = {
 	}
 	,__class__: markdown_ElementNode
 };
-var markdown_TextNode = function(text) {
+var markdown_TextNode = $hx_exports.gitblog.TextNode = function(text) {
 	this.text = text;
 };
 markdown_TextNode.__name__ = true;
@@ -1742,48 +4598,6 @@ markdown_BlockParser.prototype = {
 	}
 	,__class__: markdown_BlockParser
 };
-var markdown_BlockSyntax = function() {
-};
-markdown_BlockSyntax.__name__ = true;
-markdown_BlockSyntax.get_syntaxes = function() {
-	if(markdown_BlockSyntax.syntaxes == null) markdown_BlockSyntax.syntaxes = [new markdown_EmptyBlockSyntax(),new markdown_BlockHtmlSyntax(),new markdown_SetextHeaderSyntax(),new markdown_HeaderSyntax(),new markdown_CodeBlockSyntax(),new markdown_GitHubCodeBlockSyntax(),new markdown_BlockquoteSyntax(),new markdown_HorizontalRuleSyntax(),new markdown_UnorderedListSyntax(),new markdown_OrderedListSyntax(),new markdown_TableSyntax(),new markdown_ParagraphSyntax()];
-	return markdown_BlockSyntax.syntaxes;
-};
-markdown_BlockSyntax.isAtBlockEnd = function(parser) {
-	if(parser.pos >= parser.lines.length) return true;
-	var _g = 0;
-	var _g1 = markdown_BlockSyntax.get_syntaxes();
-	while(_g < _g1.length) {
-		var syntax = _g1[_g];
-		++_g;
-		if(syntax.canParse(parser) && syntax.get_canEndBlock()) return true;
-	}
-	return false;
-};
-markdown_BlockSyntax.prototype = {
-	get_pattern: function() {
-		return null;
-	}
-	,get_canEndBlock: function() {
-		return true;
-	}
-	,canParse: function(parser) {
-		return this.get_pattern().match(parser.lines[parser.pos]);
-	}
-	,parse: function(parser) {
-		return null;
-	}
-	,parseChildLines: function(parser) {
-		var childLines = [];
-		while(!(parser.pos >= parser.lines.length)) {
-			if(!this.get_pattern().match(parser.lines[parser.pos])) break;
-			childLines.push(this.get_pattern().matched(1));
-			parser.advance();
-		}
-		return childLines;
-	}
-	,__class__: markdown_BlockSyntax
-};
 var markdown_EmptyBlockSyntax = function() {
 	markdown_BlockSyntax.call(this);
 };
@@ -1811,12 +4625,12 @@ markdown_SetextHeaderSyntax.prototype = $extend(markdown_BlockSyntax.prototype,{
 	,parse: function(parser) {
 		var re = markdown_BlockSyntax.RE_SETEXT;
 		re.match(parser.get_next());
-		var tag;
-		if(re.matched(1).charAt(0) == "=") tag = "h1"; else tag = "h2";
+		var level;
+		if(re.matched(1).charAt(0) == "=") level = 1; else level = 2;
 		var contents = parser.document.parseInline(parser.lines[parser.pos]);
 		parser.advance();
 		parser.advance();
-		return new markdown_ElementNode(tag,contents);
+		return parser.document.heading(level,contents);
 	}
 	,__class__: markdown_SetextHeaderSyntax
 });
@@ -1834,10 +4648,30 @@ markdown_HeaderSyntax.prototype = $extend(markdown_BlockSyntax.prototype,{
 		parser.advance();
 		var level = this.get_pattern().matched(1).length;
 		var contents = parser.document.parseInline(StringTools.trim(this.get_pattern().matched(2)));
-		return new markdown_ElementNode("h" + level,contents);
+		return parser.document.heading(level,contents);
 	}
 	,__class__: markdown_HeaderSyntax
 });
+var markdown_StrictHeaderSyntax = function() {
+	markdown_HeaderSyntax.call(this);
+};
+markdown_StrictHeaderSyntax.__name__ = true;
+markdown_StrictHeaderSyntax.__super__ = markdown_HeaderSyntax;
+markdown_StrictHeaderSyntax.prototype = $extend(markdown_HeaderSyntax.prototype,{
+	get_pattern: function() {
+		return markdown_BlockSyntax.RE_HEADER_STRICT;
+	}
+	,parse: function(parser) {
+		this.get_pattern().match(parser.lines[parser.pos]);
+		parser.advance();
+		var level = this.get_pattern().matched(1).length;
+		var text = this.get_pattern().matched(2);
+		if(text == null) text = "";
+		text = StringTools.trim(markdown_BlockSyntax.RE_HEADER_CLOSE.replace(StringTools.trim(text),""));
+		return parser.document.heading(level,parser.document.parseInline(text));
+	}
+	,__class__: markdown_StrictHeaderSyntax
+});
 var markdown_BlockquoteSyntax = function() {
 	markdown_BlockSyntax.call(this);
 };
@@ -1910,6 +4744,26 @@ var markdown_GitHubCodeBlockSyntax = function() {
 };
 markdown_GitHubCodeBlockSyntax.__name__ = true;
 markdown_GitHubCodeBlockSyntax.__super__ = markdown_BlockSyntax;
+markdown_GitHubCodeBlockSyntax.parseInfo = function(text) {
+	var info = { language : null, title : null, highlight : null, lineNumbers : false};
+	var re = markdown_GitHubCodeBlockSyntax.RE_INFO;
+	var pos = 0;
+	var first = true;
+	while(re.matchSub(text,pos)) {
+		var match = re.matchedPos();
+		pos = match.pos + match.len;
+		if(re.matched(1) != null) {
+			if(re.matched(1) == "title") info.title = re.matched(2);
+		} else if(re.matched(3) != null) {
+			if(markdown_GitHubCodeBlockSyntax.RE_RANGES.match(re.matched(3))) info.highlight = StringTools.replace(re.matched(3)," ","");
+		} else {
+			var word = re.matched(4);
+			if(word == "linenos" || word == "numbered") info.lineNumbers = true; else if(first && markdown_GitHubCodeBlockSyntax.RE_LANGUAGE.match(word)) info.language = word.toLowerCase();
+		}
+		first = false;
+	}
+	return info;
+};
 markdown_GitHubCodeBlockSyntax.prototype = $extend(markdown_BlockSyntax.prototype,{
 	get_pattern: function() {
 		return markdown_BlockSyntax.RE_CODE;
@@ -1917,7 +4771,7 @@ markdown_GitHubCodeBlockSyntax.prototype = $extend(markdown_BlockSyntax.prototyp
 	,parseChildLines: function(parser) {
 		var childLines = [];
 		parser.advance();
-		while(!(parser.pos >= parser.lines.length)) if(!this.get_pattern().match(parser.lines[parser.pos])) {
+		while(!(parser.pos >= parser.lines.length)) if(!markdown_BlockSyntax.RE_CODE_END.match(parser.lines[parser.pos])) {
 			childLines.push(parser.lines[parser.pos]);
 			parser.advance();
 		} else {
@@ -1927,14 +4781,64 @@ markdown_GitHubCodeBlockSyntax.prototype = $extend(markdown_BlockSyntax.prototyp
 		return childLines;
 	}
 	,parse: function(parser) {
-		var syntax = this.get_pattern().matched(1);
+		var info = markdown_GitHubCodeBlockSyntax.parseInfo(this.get_pattern().matched(1));
 		var childLines = this.parseChildLines(parser);
 		var code = markdown_ElementNode.text("code",StringTools.htmlEscape(childLines.join("\n")));
-		if(syntax != null && syntax.length > 0) code.attributes.set("class","prettyprint " + syntax);
-		return new markdown_ElementNode("pre",[code]);
+		var classes = [];
+		if(info.language != null) classes.push("prettyprint " + info.language); else if(info.lineNumbers || info.highlight != null) classes.push("prettyprint");
+		if(info.lineNumbers) classes.push("numbered");
+		if(classes.length > 0) code.attributes.set("class",classes.join(" "));
+		if(info.highlight != null) code.attributes.set("data-highlight",info.highlight);
+		var pre = new markdown_ElementNode("pre",[code]);
+		if(info.title == null) return pre;
+		var figure = new markdown_ElementNode("figure",[markdown_ElementNode.text("figcaption",StringTools.htmlEscape(info.title)),pre]);
+		figure.attributes.set("class","code");
+		return figure;
 	}
 	,__class__: markdown_GitHubCodeBlockSyntax
 });
+var markdown_FencedCodeBlockSyntax = function() {
+	markdown_GitHubCodeBlockSyntax.call(this);
+};
+markdown_FencedCodeBlockSyntax.__name__ = true;
+markdown_FencedCodeBlockSyntax.__super__ = markdown_GitHubCodeBlockSyntax;
+markdown_FencedCodeBlockSyntax.prototype = $extend(markdown_GitHubCodeBlockSyntax.prototype,{
+	get_pattern: function() {
+		return markdown_BlockSyntax.RE_FENCE;
+	}
+	,canParse: function(parser) {
+		if(!this.get_pattern().match(parser.lines[parser.pos])) return false;
+		return this.get_pattern().matched(2).charAt(0) == "~" || this.get_pattern().matched(3).indexOf("`") < 0;
+	}
+	,parse: function(parser) {
+		var re = this.get_pattern();
+		re.match(parser.lines[parser.pos]);
+		var indent = re.matched(1).length;
+		var fence = re.matched(2);
+		var info = StringTools.trim(re.matched(3));
+		var childLines = [];
+		var closed = false;
+		parser.advance();
+		while(!(parser.pos >= parser.lines.length)) {
+			var line = parser.lines[parser.pos];
+			parser.advance();
+			if(markdown_BlockSyntax.RE_FENCE_END.match(line) && markdown_BlockSyntax.RE_FENCE_END.matched(1).charAt(0) == fence.charAt(0) && markdown_BlockSyntax.RE_FENCE_END.matched(1).length >= fence.length) {
+				closed = true;
+				break;
+			}
+			var strip = 0;
+			while(strip < indent && line.charAt(strip) == " ") strip++;
+			childLines.push(HxOverrides.substr(line,strip,null));
+		}
+		if(!closed && childLines.length > 0 && childLines[childLines.length - 1] == "") childLines.pop();
+		if(childLines.length > 0) childLines.push("");
+		var code = markdown_ElementNode.text("code",StringTools.htmlEscape(childLines.join("\n")));
+		var language = info.split(" ")[0];
+		if(language != "") code.attributes.set("class","language-" + language);
+		return new markdown_ElementNode("pre",[code]);
+	}
+	,__class__: markdown_FencedCodeBlockSyntax
+});
 var markdown_HorizontalRuleSyntax = function() {
 	markdown_BlockSyntax.call(this);
 };
@@ -1980,7 +4884,7 @@ markdown_ListItem.__name__ = true;
 markdown_ListItem.prototype = {
 	__class__: markdown_ListItem
 };
-var markdown_ParagraphSyntax = function() {
+var markdown_ParagraphSyntax = $hx_exports.gitblog.ParagraphSyntax = function() {
 	markdown_BlockSyntax.call(this);
 };
 markdown_ParagraphSyntax.__name__ = true;
@@ -2115,6 +5019,86 @@ markdown_OrderedListSyntax.prototype = $extend(markdown_ListSyntax.prototype,{
 	}
 	,__class__: markdown_OrderedListSyntax
 });
+var markdown_TaskListSyntax = function() {
+	markdown_ListSyntax.call(this,"ul");
+};
+markdown_TaskListSyntax.__name__ = true;
+markdown_TaskListSyntax.__super__ = markdown_ListSyntax;
+markdown_TaskListSyntax.prototype = $extend(markdown_ListSyntax.prototype,{
+	get_pattern: function() {
+		return markdown_BlockSyntax.RE_UL;
+	}
+	,canParse: function(parser) {
+		return markdown_BlockSyntax.RE_TASK.match(parser.lines[parser.pos]);
+	}
+	,parse: function(parser) {
+		var list = markdown_ListSyntax.prototype.parse.call(this,parser);
+		var _g = 0;
+		var _g1 = list.children;
+		while(_g < _g1.length) {
+			var item = _g1[_g];
+			++_g;
+			var nodes = item.children;
+			if(nodes.length > 0 && js_Boot.__instanceof(nodes[0],markdown_ElementNode) && nodes[0].tag == "p") nodes = nodes[0].children;
+			if(nodes.length == 0 || !js_Boot.__instanceof(nodes[0],markdown_TextNode) || !markdown_BlockSyntax.RE_TASK_ITEM.match(nodes[0].text)) continue;
+			var checkbox = markdown_ElementNode.empty("input");
+			checkbox.attributes.set("type","checkbox");
+			checkbox.attributes.set("disabled","disabled");
+			if(markdown_BlockSyntax.RE_TASK_ITEM.matched(1) != " ") checkbox.attributes.set("checked","checked");
+			nodes[0] = new markdown_TextNode(markdown_BlockSyntax.RE_TASK_ITEM.matchedRight());
+			nodes.unshift(checkbox);
+			item.attributes.set("class","task");
+		}
+		list.attributes.set("class","tasks");
+		return list;
+	}
+	,__class__: markdown_TaskListSyntax
+});
+var markdown_DefinitionListSyntax = function() {
+	markdown_BlockSyntax.call(this);
+};
+markdown_DefinitionListSyntax.__name__ = true;
+markdown_DefinitionListSyntax.__super__ = markdown_BlockSyntax;
+markdown_DefinitionListSyntax.prototype = $extend(markdown_BlockSyntax.prototype,{
+	get_pattern: function() {
+		return markdown_BlockSyntax.RE_DEFINITION;
+	}
+	,canParse: function(parser) {
+		var line = parser.lines[parser.pos];
+		return !markdown_BlockSyntax.RE_EMPTY.match(line) && !markdown_BlockSyntax.RE_DEFINITION.match(line) && parser.matchesNext(markdown_BlockSyntax.RE_DEFINITION);
+	}
+	,parse: function(parser) {
+		var items = [];
+		var definition = null;
+		while(!(parser.pos >= parser.lines.length)) {
+			var line = parser.lines[parser.pos];
+			if(markdown_BlockSyntax.RE_DEFINITION.match(line)) {
+				definition = [markdown_BlockSyntax.RE_DEFINITION.matched(1)];
+				items.push({ tag : "dd", lines : definition});
+			} else if(markdown_BlockSyntax.RE_EMPTY.match(line)) {
+				var next = parser.get_next();
+				if(next == null) break;
+				if(!markdown_BlockSyntax.RE_DEFINITION.match(next)) {
+					if(markdown_BlockSyntax.RE_EMPTY.match(next) || parser.pos + 2 >= parser.lines.length || !markdown_BlockSyntax.RE_DEFINITION.match(parser.lines[parser.pos + 2])) break;
+					definition = null;
+				}
+			} else if(definition == null) {
+				if(!parser.matchesNext(markdown_BlockSyntax.RE_DEFINITION)) break;
+				items.push({ tag : "dt", lines : [line]});
+			} else if(markdown_BlockSyntax.RE_INDENT.match(line)) definition.push(markdown_BlockSyntax.RE_INDENT.matched(1)); else if(!markdown_BlockSyntax.isAtBlockEnd(parser) || this.canParse(parser)) definition.push(StringTools.trim(line)); else break;
+			parser.advance();
+		}
+		var nodes = [];
+		var _g = 0;
+		while(_g < items.length) {
+			var item = items[_g];
+			++_g;
+			nodes.push(new markdown_ElementNode(item.tag,parser.document.parseInline(item.lines.join("\n"))));
+		}
+		return new markdown_ElementNode("dl",nodes);
+	}
+	,__class__: markdown_DefinitionListSyntax
+});
 var markdown_TableSyntax = function() {
 	markdown_BlockSyntax.call(this);
 };
@@ -2234,7 +5218,7 @@ markdown_HtmlRenderer.prototype = {
 	}
 	,__class__: markdown_HtmlRenderer
 };
-var markdown_InlineSyntax = function(pattern) {
+var markdown_InlineSyntax = $hx_exports.gitblog.InlineSyntax = function(pattern) {
 	this.pattern = new EReg(pattern,"m");
 };
 markdown_InlineSyntax.__name__ = true;
@@ -2320,6 +5304,37 @@ markdown_TagSyntax.prototype = $extend(markdown_InlineSyntax.prototype,{
 	}
 	,__class__: markdown_TagSyntax
 });
+var markdown_StrikethroughSyntax = function() {
+	markdown_TagSyntax.call(this,"~~(?=\\S)","del","~~");
+};
+markdown_StrikethroughSyntax.__name__ = true;
+markdown_StrikethroughSyntax.__super__ = markdown_TagSyntax;
+markdown_StrikethroughSyntax.prototype = $extend(markdown_TagSyntax.prototype,{
+	__class__: markdown_StrikethroughSyntax
+});
+var markdown_FootnoteSyntax = function() {
+	markdown_InlineSyntax.call(this,"\\[\\^([A-Za-z0-9_-]+)\\]");
+};
+markdown_FootnoteSyntax.__name__ = true;
+markdown_FootnoteSyntax.__super__ = markdown_InlineSyntax;
+markdown_FootnoteSyntax.prototype = $extend(markdown_InlineSyntax.prototype,{
+	onMatch: function(parser) {
+		var id = this.pattern.matched(1);
+		var reference = parser.document.referenceFootnote(id);
+		if(reference == null) {
+			parser.advanceBy(this.pattern.matched(0).length);
+			return false;
+		}
+		var anchor = markdown_ElementNode.text("a",Std.string(reference.number));
+		anchor.attributes.set("href","#fn-" + id);
+		if(reference.first) anchor.attributes.set("id","fnref-" + id);
+		var sup = new markdown_ElementNode("sup",[anchor]);
+		sup.attributes.set("class","footnote-ref");
+		parser.addNode(sup);
+		return true;
+	}
+	,__class__: markdown_FootnoteSyntax
+});
 var markdown_LinkSyntax = function(linkResolver) {
 	markdown_TagSyntax.call(this,"\\[",null,markdown_LinkSyntax.linkPattern);
 	this.linkResolver = linkResolver;
@@ -2446,15 +5461,38 @@ var markdown_InlineParser = function(source,document) {
 		while(_g2 < _g11.length) {
 			var syntax1 = _g11[_g2];
 			++_g2;
+			if(document.strict && js_Boot.__instanceof(syntax1,markdown_AutolinkSyntaxWithoutBrackets)) continue;
+			if(document.linkResolver != null && js_Boot.__instanceof(syntax1,markdown_ImgSyntax)) syntax1 = new markdown_ImgSyntax(document.linkResolver);
 			this.syntaxes.push(syntax1);
 		}
-	} else this.syntaxes = markdown_InlineParser.defaultSyntaxes;
+	} else this.syntaxes = markdown_InlineParser.defaultSyntaxes.slice();
 	var x = new markdown_LinkSyntax(document.linkResolver);
 	this.syntaxes.splice(1,0,x);
+	if(document.inlineInsertions != null) {
+		var _g3 = 0;
+		var _g12 = document.inlineInsertions;
+		while(_g3 < _g12.length) {
+			var insertion = _g12[_g3];
+			++_g3;
+			this.insertSyntax(insertion.syntax,insertion.before);
+		}
+	}
 };
 markdown_InlineParser.__name__ = true;
 markdown_InlineParser.prototype = {
-	parse: function() {
+	insertSyntax: function(syntax,before) {
+		var _g1 = 0;
+		var _g = this.syntaxes.length;
+		while(_g1 < _g) {
+			var i = _g1++;
+			if(js_Boot.getClass(this.syntaxes[i]) == before) {
+				this.syntaxes.splice(i,0,syntax);
+				return;
+			}
+		}
+		this.syntaxes.push(syntax);
+	}
+	,parse: function() {
 		this.stack.push(new markdown_TagState(0,0,null));
 		while(!this.get_isDone()) {
 			var matched = false;
@@ -2583,12 +5621,93 @@ var Bool = Boolean;
 Bool.__ename__ = ["Bool"];
 var Class = { __name__ : ["Class"]};
 var Enum = { };
-haxe_Resource.content = [{ name : "ArticlesTemplate", data : "PHVsPg0KOjpmb3JlYWNoIGFydGljbGVzOjoNCiAgPGxpPjxhIGhyZWY9IiMvY29udGVudHMvOjpfX2N1cnJlbnRfXy5wYXRoOjoiPjo6X19jdXJyZW50X18udGl0bGU6OjwvYT48YnIvPjxzcGFuIGNsYXNzPSJ0aW1lc3RhbXAiPjo6X19jdXJyZW50X18udGltZXN0YW1wOjo8L3NwYW4+PC9saT4NCjo6ZW5kOjoNCjwvdWw+"},{ name : "UserTemplate", data : "PGltZyBzcmM9Ijo6dXNlci5hdmF0YXI6OiIvPg0KPHA+SGVsbG8hIE15IG5hbWUgaXMgPHNwYW4+Ojp1c2VyLm5hbWU6Ojwvc3Bhbj4gKDxzcGFuPjo6dXNlci5sb2dpbjo6PC9zcGFuPiksIGFuZCBJIGhhaWwgZnJvbSA8c3Bhbj46OnVzZXIubG9jYXRpb246Ojwvc3Bhbj4uIEkgaGF2ZSBjb250cmlidXRlZCB0byA8c3Bhbj46OnVzZXIucmVwb3M6Ojwvc3Bhbj4gcmVwb3NpdG9yaWVzIHNvIGZhciwgd2l0aCBtb3JlIHRvIGNvbWUhPC9wPg0KPHA+SW4gc2hvcnQsIEkgYW0gYSBnZW5lcmFsaXN0IHdobyBlbmpveXMgbWFraW5nIHRoaW5ncyB3aXRoIEhheGUuPC9wPg0KPHA+Q29udGFjdCBtZSBhdCA8c3Bhbj46OnVzZXIuZW1haWw6Ojwvc3Bhbj4sIG9yIHZpc2l0IG15IDxhIGhyZWY9Ijo6dXNlci51cmw6OiI+R2l0SHViIHBhZ2U8L2E+LjwvcD4"},{ name : "ArticleTemplate", data : "PGRpdiBjbGFzcz0idGltZXN0YW1wIj5Xcml0dGVuIG9uIDo6YXJ0aWNsZS50aW1lc3RhbXA6OjwvZGl2Pg0KOjphcnRpY2xlLmJvZHk6Og"}];
+haxe_Resource.content = [{ name : "ArticlesTemplate", data : "OjppZiBwaW5uZWQ6Ojx1bCBjbGFzcz0icGlubmVkIj4NCjo6Zm9yZWFjaCBwaW5uZWQ6Og0KICA8bGk+PGEgaHJlZj0iOjpfX2N1cnJlbnRfXy51cmw6OiI+OjpfX2N1cnJlbnRfXy50aXRsZTo6PC9hPjxici8+PHNwYW4gY2xhc3M9InRpbWVzdGFtcCI+OjpfX2N1cnJlbnRfXy50aW1lc3RhbXA6Ojwvc3Bhbj46OmlmIF9fY3VycmVudF9fLnN1bW1hcnk6Ojxici8+PHNwYW4gY2xhc3M9InN1bW1hcnkiPjo6X19jdXJyZW50X18uc3VtbWFyeTo6PC9zcGFuPjo6ZW5kOjo8L2xpPg0KOjplbmQ6Og0KPC91bD46OmVuZDo6DQo6OmZvcmVhY2ggZ3JvdXBzOjoNCjxoMz46Ol9fY3VycmVudF9fLmxhYmVsOjo8L2gzPg0KPHVsPg0KOjpmb3JlYWNoIF9fY3VycmVudF9fLmFydGljbGVzOjoNCiAgPGxpPjxhIGhyZWY9Ijo6X19jdXJyZW50X18udXJsOjoiPjo6X19jdXJyZW50X18udGl0bGU6OjwvYT48YnIvPjxzcGFuIGNsYXNzPSJ0aW1lc3RhbXAiPjo6X19jdXJyZW50X18udGltZXN0YW1wOjo8L3NwYW4+OjppZiBfX2N1cnJlbnRfXy5zdW1tYXJ5Ojo8YnIvPjxzcGFuIGNsYXNzPSJzdW1tYXJ5Ij46Ol9fY3VycmVudF9fLnN1bW1hcnk6Ojwvc3Bhbj46OmVuZDo6PC9saT4NCjo6ZW5kOjoNCjwvdWw+DQo6OmVuZDo6DQo6OmlmIG1vcmU6OjxidXR0b24gY2xhc3M9Im1vcmUiPkxvYWQgbW9yZSAoOjptb3JlOjogbGVmdCk8L2J1dHRvbj46OmVuZDo6"},{ name : "UserTemplate", data : "PGltZyBzcmM9Ijo6dXNlci5hdmF0YXI6OiIvPg0KPHA+SGVsbG8hIE15IG5hbWUgaXMgPHNwYW4+Ojp1c2VyLm5hbWU6Ojwvc3Bhbj4gKDxzcGFuPjo6dXNlci5sb2dpbjo6PC9zcGFuPiksIGFuZCBJIGhhaWwgZnJvbSA8c3Bhbj46OnVzZXIubG9jYXRpb246Ojwvc3Bhbj4uIEkgaGF2ZSBjb250cmlidXRlZCB0byA8c3Bhbj46OnVzZXIucmVwb3M6Ojwvc3Bhbj4gcmVwb3NpdG9yaWVzIHNvIGZhciwgd2l0aCBtb3JlIHRvIGNvbWUhPC9wPg0KPHA+SW4gc2hvcnQsIEkgYW0gYSBnZW5lcmFsaXN0IHdobyBlbmpveXMgbWFraW5nIHRoaW5ncyB3aXRoIEhheGUuPC9wPg0KPHA+Q29udGFjdCBtZSBhdCA8c3Bhbj46OnVzZXIuZW1haWw6Ojwvc3Bhbj4sIG9yIHZpc2l0IG15IDxhIGhyZWY9Ijo6dXNlci51cmw6OiI+R2l0SHViIHBhZ2U8L2E+LjwvcD4"},{ name : "ArticleTemplate", data : "OjppZiBhcnRpY2xlLnRpbWVzdGFtcDo6PGRpdiBjbGFzcz0idGltZXN0YW1wIj5Xcml0dGVuIG9uIDo6YXJ0aWNsZS50aW1lc3RhbXA6Ojo6aWYgYXJ0aWNsZS5hdXRob3I6OiBieSA6OmFydGljbGUuYXV0aG9yOjo6OmVuZDo6PC9kaXY+OjplbmQ6Og0KOjppZiBzZXJpZXM6OjxkaXYgY2xhc3M9InNlcmllcyI+DQogIDxwPlRoaXMgYXJ0aWNsZSBpcyBwYXJ0IDo6c2VyaWVzLnBvc2l0aW9uOjogb2YgOjpzZXJpZXMudG90YWw6OiBpbiB0aGUgc2VyaWVzIDxlbT46OnNlcmllcy5uYW1lOjo8L2VtPi48L3A+DQogIDxvbD4NCiAgOjpmb3JlYWNoIHNlcmllcy5wYXJ0czo6DQogICAgPGxpPjo6aWYgX19jdXJyZW50X18uY3VycmVudDo6PHN0cm9uZz46Ol9fY3VycmVudF9fLnRpdGxlOjo8L3N0cm9uZz46OmVsc2U6OjxhIGhyZWY9Ijo6X19jdXJyZW50X18udXJsOjoiPjo6X19jdXJyZW50X18udGl0bGU6OjwvYT46OmVuZDo6PC9saT4NCiAgOjplbmQ6Og0KICA8L29sPg0KPC9kaXY+OjplbmQ6Og0KOjppZiB0b2M6OjxkaXYgY2xhc3M9InRvYyI+DQogIDxwPkNvbnRlbnRzPC9wPg0KICA8dWw+DQogIDo6Zm9yZWFjaCB0b2M6Og0KICAgIDxsaSBjbGFzcz0ibGV2ZWwtOjpfX2N1cnJlbnRfXy5sZXZlbDo6Ij48YSBocmVmPSI6Ol9fY3VycmVudF9fLnVybDo6Ij46Ol9fY3VycmVudF9fLnRleHQ6OjwvYT48L2xpPg0KICA6OmVuZDo6DQogIDwvdWw+DQo8L2Rpdj46OmVuZDo6DQo6OmJvZHk6Og0KOjppZiBuYXZpZ2F0aW9uOjo8ZGl2IGNsYXNzPSJuYXZpZ2F0aW9uIj46OmlmIHByZXZpb3VzOjo8YSBjbGFzcz0icHJldmlvdXMiIGhyZWY9Ijo6cHJldmlvdXMudXJsOjoiPiZsYXJyOyA6OnByZXZpb3VzLnRpdGxlOjo8L2E+OjplbmQ6Ojo6aWYgbmV4dDo6PGEgY2xhc3M9Im5leHQiIGhyZWY9Ijo6bmV4dC51cmw6OiI+OjpuZXh0LnRpdGxlOjogJnJhcnI7PC9hPjo6ZW5kOjo8L2Rpdj46OmVuZDo6"},{ name : "ErrorTemplate", data : "PGRpdiBjbGFzcz0iZXJyb3IiPg0KICA8aDE+OjplcnJvci50aXRsZTo6PC9oMT4NCiAgPHA+OjplcnJvci5kZXNjcmlwdGlvbjo6PC9wPg0KICA6OmlmIGVycm9yLnJldHJ5Ojo8cCBjbGFzcz0icmV0cnkiPlRyeWluZyBhZ2FpbiBpbiA8c3BhbiBjbGFzcz0iY291bnRkb3duIj46OmVycm9yLnNlY29uZHM6Ojwvc3Bhbj4gc2Vjb25kcy48L3A+OjplbmQ6Og0KPC9kaXY+"},{ name : "SearchTemplate", data : "PGRpdiBjbGFzcz0ic2VhcmNoIj4NCjo6aWYgaW5kZXhpbmc6Og0KICA8aDE+U2VhcmNoaW5nJmhlbGxpcDs8L2gxPg0KICA8cCBjbGFzcz0ic3RhdHVzIj5JbmRleGluZyBhcnRpY2xlcyAoOjppbmRleGVkOjogb2YgOjp0b3RhbDo6KS48L3A+DQo6OmVsc2U6Og0KICA8aDE+U2VhcmNoPC9oMT4NCiAgPHAgY2xhc3M9InN0YXR1cyI+OjpzdW1tYXJ5OjogPGVtPjo6cXVlcnk6OjwvZW0+LjwvcD4NCiAgPG9sPg0KICA6OmZvcmVhY2ggcmVzdWx0czo6DQogICAgPGxpPjxhIGhyZWY9Ijo6X19jdXJyZW50X18udXJsOjoiPjo6X19jdXJyZW50X18udGl0bGU6OjwvYT48cCBjbGFzcz0ic25pcHBldCI+OjpfX2N1cnJlbnRfXy5zbmlwcGV0Ojo8L3A+PC9saT4NCiAgOjplbmQ6Og0KICA8L29sPg0KOjplbmQ6Og0KPC9kaXY+"},{ name : "TagCloudTemplate", data : "OjppZiB0YWdzOjo6OmZvcmVhY2ggdGFnczo6PGEgaHJlZj0iOjpfX2N1cnJlbnRfXy51cmw6OiIgY2xhc3M9InRhZyBzaXplLTo6X19jdXJyZW50X18uc2l6ZTo6IiB0aXRsZT0iOjpfX2N1cnJlbnRfXy5jb3VudDo6Ij46Ol9fY3VycmVudF9fLm5hbWU6OjwvYT4NCjo6ZW5kOjo6OmVsc2U6OjxzcGFuIGNsYXNzPSJlbXB0eSI+Tm8gdGFncyB5ZXQuPC9zcGFuPjo6ZW5kOjo"},{ name : "TagTemplate", data : "PGRpdiBjbGFzcz0idGFncyI+DQogIDxoMT5UYWdnZWQgJmxkcXVvOzo6bmFtZTo6JnJkcXVvOzwvaDE+DQogIDxwIGNsYXNzPSJjb3VudCI+OjpzdW1tYXJ5OjogJm1pZGRvdDsgPGEgaHJlZj0iOjp0YWdzVVJMOjoiPkFsbCB0YWdzPC9hPjwvcD4NCiAgPHVsPg0KICA6OmZvcmVhY2ggYXJ0aWNsZXM6Og0KICAgIDxsaT48YSBocmVmPSI6Ol9fY3VycmVudF9fLnVybDo6Ij46Ol9fY3VycmVudF9fLnRpdGxlOjo8L2E+PGJyLz48c3BhbiBjbGFzcz0idGltZXN0YW1wIj46Ol9fY3VycmVudF9fLnRpbWVzdGFtcDo6PC9zcGFuPjwvbGk+DQogIDo6ZW5kOjoNCiAgPC91bD4NCjwvZGl2Pg"},{ name : "TagsTemplate", data : "PGRpdiBjbGFzcz0idGFncyI+DQogIDxoMT5UYWdzPC9oMT4NCjo6aWYgdGFnczo6DQogIDx1bD4NCiAgOjpmb3JlYWNoIHRhZ3M6Og0KICAgIDxsaT48YSBocmVmPSI6Ol9fY3VycmVudF9fLnVybDo6Ij46Ol9fY3VycmVudF9fLm5hbWU6OjwvYT4gPHNwYW4gY2xhc3M9ImNvdW50Ij4oOjpfX2N1cnJlbnRfXy5jb3VudDo6KTwvc3Bhbj48L2xpPg0KICA6OmVuZDo6DQogIDwvdWw+DQo6OmVsc2U6Og0KICA8cD5ObyBhcnRpY2xlcyBoYXZlIGJlZW4gdGFnZ2VkIHlldC48L3A+DQo6OmVuZDo6DQo8L2Rpdj4"},{ name : "NotFoundTemplate", data : "PGRpdiBjbGFzcz0iZXJyb3Igbm90LWZvdW5kIj4NCiAgPGgxPlBhZ2Ugbm90IGZvdW5kPC9oMT4NCiAgPHA+VGhlcmUgaXMgbm90aGluZyBhdCA8Y29kZT46Omhhc2g6OjwvY29kZT4uIEl0IG1heSBoYXZlIGJlZW4gbW92ZWQgb3IgZGVsZXRlZC48L3A+DQogIDxwPjxhIGhyZWY9Ijo6aG9tZVVSTDo6Ij5CYWNrIHRvIHRoZSBmcm9udCBwYWdlPC9hPjwvcD4NCjwvZGl2Pg"}];
 var __map_reserved = {}
 var ArrayBuffer = (Function("return typeof ArrayBuffer != 'undefined' ? ArrayBuffer : null"))() || js_html_compat_ArrayBuffer;
 if(ArrayBuffer.prototype.slice == null) ArrayBuffer.prototype.slice = js_html_compat_ArrayBuffer.sliceImpl;
 var DataView = (Function("return typeof DataView != 'undefined' ? DataView : null"))() || js_html_compat_DataView;
 var Uint8Array = (Function("return typeof Uint8Array != 'undefined' ? Uint8Array : null"))() || js_html_compat_Uint8Array._new;
+Document.EXTENSIONS = ["strikethrough","tasklists","footnotes","deflists"];
+Document.RE_FOOTNOTE = new EReg("^[ ]{0,3}\\[\\^([A-Za-z0-9_-]+)\\]:[ \\t]*(.*)$","");
+Document.RE_TAG = new EReg("<[^>]*>","g");
+Document.RE_NON_ID = new EReg("[^a-z0-9\\u00c0-\\uffff]+","g");
+Document.RE_EDGE_DASHES = new EReg("^-+|-+$","g");
+frank_App.REDIRECT_KEY = "frank:redirect";
+frank_App.named = new haxe_ds_StringMap();
+frank_Route.RE_SPECIAL = new EReg("[.*+?^${}()|[\\]\\\\]","g");
+gitblog_ArticleFile.RE_NAME = new EReg("^([0-9]{4})-([0-9]{2})-([0-9]{2})(?:-([0-9]{2})-([0-9]{2}))?-(.+)\\.(?:md|markdown)$","");
+gitblog_ArticleFile.RE_DATE = new EReg("^([0-9]{4})-([0-9]{2})-([0-9]{2})(?:[ T]([0-9]{2}):([0-9]{2})(?::[0-9]{2})?)?","");
+gitblog_ArticleFile.RE_MARKDOWN = new EReg("\\.(md|markdown)$","");
+gitblog_ArticleFile.RE_SLUG = new EReg("^[a-z0-9\\u00c0-\\uffff]+(-[a-z0-9\\u00c0-\\uffff]+)*$","");
+gitblog_ArticleFile.RE_NON_SLUG = new EReg("[^a-z0-9\\u00c0-\\uffff]+","g");
+gitblog_ArticleFile.RE_EDGE_DASHES = new EReg("^-+|-+$","g");
+gitblog_Catalog.RE_TAG_SPACE = new EReg("[\\s_-]+","g");
+gitblog_Connection.requests = new haxe_ds_StringMap();
+gitblog_FrontMatter.RE_FIELD = new EReg("^([A-Za-z0-9_-]+)[ \\t]*:(.*)$","");
+gitblog_FrontMatter.RE_ITEM = new EReg("^[ \\t]+-[ \\t]+(.*)$","");
+gitblog_FrontMatter.RE_NUMBER = new EReg("^-?[0-9]+(\\.[0-9]+)?$","");
+gitblog_GitBlog.callbacks = [];
+gitblog_Sanitizer.TAGS = ["a","abbr","b","blockquote","br","caption","cite","code","dd","del","details","div","dl","dt","em","figcaption","figure","h1","h2","h3","h4","h5","h6","hr","i","img","input","ins","kbd","li","mark","ol","p","pre","q","s","samp","small","span","strike","strong","sub","summary","sup","table","tbody","td","tfoot","th","thead","tr","u","ul"];
+gitblog_Sanitizer.ATTRIBUTES = { "*" : ["class","id","title","lang","dir"], a : ["href","name","target"], img : ["src","alt","width","height"], code : ["data-highlight"], blockquote : ["cite"], q : ["cite"], ol : ["start","reversed"], td : ["align","colspan","rowspan"], th : ["align","colspan","rowspan"], details : ["open"], input : ["type","checked","disabled"], div : ["data-embed","data-value"]};
+gitblog_Sanitizer.SCHEMES = ["http","https","mailto"];
+gitblog_Sanitizer.ID_PREFIX = "user-content-";
+gitblog_Sanitizer.URL_ATTRIBUTES = ["href","src","cite","action","formaction","poster","background","xlink:href"];
+gitblog_Sanitizer.DROPPED = ["script","style","iframe","frame","frameset","object","embed","applet","noscript","template","textarea","select","title","meta","link","base","svg","math"];
+gitblog_Sanitizer.RE_IGNORED = new EReg("[\\s\\u0000-\\u001f]+","g");
+gitblog_Sanitizer.RE_SCHEME = new EReg("^([a-z][a-z0-9+.-]*):","");
+markdown_BlockSyntax.RE_EMPTY = new EReg("^([ \\t]*)$","");
+markdown_BlockSyntax.RE_SETEXT = new EReg("^((=+)|(-+))$","");
+markdown_BlockSyntax.RE_HEADER = new EReg("^(#{1,6})(.*?)#*$","");
+markdown_BlockSyntax.RE_HEADER_STRICT = new EReg("^ {0,3}(#{1,6})(?:[ \\t]+(.*))?$","");
+markdown_BlockSyntax.RE_HEADER_CLOSE = new EReg("(^|[ \\t]+)#+$","");
+markdown_BlockSyntax.RE_BLOCKQUOTE = new EReg("^[ ]{0,3}>[ ]?(.*)$","");
+markdown_BlockSyntax.RE_INDENT = new EReg("^(?:    |\t)(.*)$","");
+markdown_BlockSyntax.RE_CODE = new EReg("^```\\s*([^`]*)$","");
+markdown_BlockSyntax.RE_CODE_END = new EReg("^```\\s*$","");
+markdown_BlockSyntax.RE_FENCE = new EReg("^( {0,3})(`{3,}|~{3,})(.*)$","");
+markdown_BlockSyntax.RE_FENCE_END = new EReg("^ {0,3}(`{3,}|~{3,})[ \\t]*$","");
+markdown_BlockSyntax.RE_HR = new EReg("^[ ]{0,3}((-+[ ]{0,2}){3,}|(_+[ ]{0,2}){3,}|(\\*+[ ]{0,2}){3,})$","");
+markdown_BlockSyntax.RE_HTML = new EReg("^<[ ]*\\w+[ >]","");
+markdown_BlockSyntax.RE_UL = new EReg("^[ ]{0,3}[*+-][ \\t]+(.*)$","");
+markdown_BlockSyntax.RE_OL = new EReg("^[ ]{0,3}\\d+\\.[ \\t]+(.*)$","");
+markdown_BlockSyntax.RE_TASK = new EReg("^[ ]{0,3}[*+-][ \\t]+\\[[ xX]\\][ \\t]","");
+markdown_BlockSyntax.RE_TASK_ITEM = new EReg("^\\[([ xX])\\][ \\t]+","");
+markdown_BlockSyntax.RE_DEFINITION = new EReg("^[ ]{0,3}:[ \\t]+(.*)$","");
+gitblog_embeds_EmbedSyntax.RE_SHORTCODE = new EReg("^[ ]{0,3}\\{\\{<[ \\t]*([\\w-]+)(?:[ \\t]+(.*?))?[ \\t]*>\\}\\}[ \\t]*$","");
+gitblog_embeds_Embeds.CODEPEN = new gitblog_embeds_Embed("codepen","CodePen demo","[\\w-]+/\\w+",{ host : "codepen.io", src : function(pen) {
+	var parts = pen.split("/");
+	return "https://codepen.io/" + parts[0] + "/embed/" + parts[1] + "?default-tab=result";
+}, link : function(pen1) {
+	var parts1 = pen1.split("/");
+	return "https://codepen.io/" + parts1[0] + "/pen/" + parts1[1];
+}, sandbox : "allow-scripts allow-same-origin allow-popups allow-forms", allow : "fullscreen"});
+gitblog_embeds_Embeds.DEMO = new gitblog_embeds_Embed("demo","Demo","/?[\\w.~-]+(?:/[\\w.~-]+)*/?",{ src : function(path) {
+	return path;
+}, link : function(path1) {
+	return path1;
+}, sandbox : "allow-scripts allow-pointer-lock", allow : "fullscreen"});
+gitblog_embeds_Embeds.GIST = new gitblog_embeds_Embed("gist","GitHub gist","[\\w-]+/[0-9a-f]+",{ host : "gist.github.com", srcdoc : function(gist) {
+	return "<base target=\"_blank\"><script src=\"https://gist.github.com/" + gist + ".js\"></script>";
+}, link : function(gist1) {
+	return "https://gist.github.com/" + gist1;
+}, sandbox : "allow-scripts allow-popups"});
+gitblog_embeds_Embeds.YOUTUBE = new gitblog_embeds_Embed("youtube","YouTube video","[\\w-]{11}",{ host : "youtube-nocookie.com", src : function(id) {
+	return "https://www.youtube-nocookie.com/embed/" + id;
+}, link : function(id1) {
+	return "https://www.youtube.com/watch?v=" + id1;
+}, sandbox : "allow-scripts allow-same-origin allow-presentation allow-popups", allow : "fullscreen; picture-in-picture; encrypted-media"});
+gitblog_search_PlainText.RE_TAG = new EReg("<[^>]*>","g");
+gitblog_search_PlainText.RE_SPACE = new EReg("\\s+","g");
+gitblog_search_SearchIndex.SCHEMA = 4;
+gitblog_search_SearchIndex.TITLE_WEIGHT = 10;
+gitblog_search_SearchIndex.SNIPPET_CONTEXT = 60;
+gitblog_search_SearchIndex.SNIPPET_LENGTH = 200;
+gitblog_search_SearchIndex.RE_SEPARATOR = new EReg("[^0-9a-z\\u00c0-\\uffff]+","g");
+gitblog_sources_GitHubApiSource.GENERATED = ["index.json","profile.json"];
+gitblog_sources_GitHubApiSource.LISTING_FIELDS = ["name","path","sha","type"];
+gitblog_sources_GitHubApiSource.RE_WHITESPACE = new EReg("\\s+","g");
+gitblog_views_ArticleView.TOC_MIN_HEADINGS = 2;
+gitblog_views_ArticlesView.MONTHS = ["January","February","March","April","May","June","July","August","September","October","November","December"];
 haxe_Template.splitter = new EReg("(::[A-Za-z0-9_ ()&|!+=/><*.\"-]+::|\\$\\$([A-Za-z0-9_-]+)\\()","");
 haxe_Template.expr_splitter = new EReg("(\\(|\\)|[ \r\n\t]*\"[^\"]*\"[ \r\n\t]*|[!+=/><*.&|-]+)","");
 haxe_Template.expr_trim = new EReg("^[ ]*([^ ]+)[ ]*$","");
@@ -2603,24 +5722,28 @@ haxe_io_FPHelper.i64tmp = (function($this) {
 	$r = x;
 	return $r;
 }(this));
+highlightly_Grammars.HTML_TAG = new highlightly_Grammar("tag",[],[{ kind : "tag", pattern : "^</?[^\\s/>]+"},{ kind : "string", pattern : "\"[^\"]*\"|'[^']*'"},{ kind : "attribute", pattern : "[^\\s\"'<>/=]+"},{ kind : "tag", pattern : "/?>$"}]);
+highlightly_Grammars.DIFF = new highlightly_Grammar("diff",["patch"],[{ kind : "meta", pattern : "^(?:@@[^\\n]*|(?:diff|index|---|\\+\\+\\+) [^\\n]*)"},{ kind : "deleted", pattern : "^[-<][^\\n]*"},{ kind : "inserted", pattern : "^[+>][^\\n]*"}]);
+highlightly_Grammars.CSS = new highlightly_Grammar("css",[],[{ kind : "comment", pattern : "/\\*[\\s\\S]*?\\*/"},{ kind : "string", pattern : "\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'"},{ kind : "keyword", pattern : "@[\\w-]+|!important\\b"},{ kind : "attribute", pattern : "[\\w-]+(?=\\s*:[^{};]*[;}])"},{ kind : "number", pattern : "#[0-9a-fA-F]{3,8}\\b|-?\\b[0-9]+(?:\\.[0-9]+)?(?:%|[a-zA-Z]+)?"}]);
+highlightly_Grammars.HAXE = new highlightly_Grammar("haxe",["hx"],[{ kind : "comment", pattern : "//[^\\n]*|/\\*[\\s\\S]*?\\*/"},{ kind : "string", pattern : "\"(?:\\\\[\\s\\S]|[^\"\\\\])*\"|'(?:\\\\[\\s\\S]|[^'\\\\])*'"},{ kind : "string", pattern : "~/(?:\\\\.|[^/\\\\\\n])+/[gimsu]*"},{ kind : "meta", pattern : "@:?[A-Za-z_][\\w.]*|#(?:if|elseif|else|end|error)\\b"},{ kind : "number", pattern : "\\b(?:0[xX][0-9a-fA-F]+|[0-9]+(?:\\.[0-9]+)?(?:[eE][+-]?[0-9]+)?)\\b"},{ kind : "keyword", pattern : "\\b(?:abstract|break|case|cast|catch|class|continue|default|do|dynamic|else|enum|extends|extern|false|final|for|from|function|if|implements|import|in|inline|interface|macro|never|new|null|override|package|private|public|return|static|super|switch|this|throw|to|trace|true|try|typedef|untyped|using|var|while)\\b"},{ kind : "type", pattern : "\\b[A-Z][A-Za-z0-9_]*\\b"}]);
+highlightly_Grammars.HTML = new highlightly_Grammar("html",["xml","svg","xhtml"],[{ kind : "comment", pattern : "<!--[\\s\\S]*?-->"},{ kind : "meta", pattern : "<![\\s\\S]*?>|<\\?[\\s\\S]*?\\?>"},{ kind : null, pattern : "</?[A-Za-z][\\w:.-]*(?:\\s+[^\\s\"'>/=]+(?:\\s*=\\s*(?:\"[^\"]*\"|'[^']*'|[^\\s\"'=<>`]+))?)*\\s*/?>", inside : highlightly_Grammars.HTML_TAG},{ kind : "string", pattern : "&[#\\w]+;"}]);
+highlightly_Grammars.JAVASCRIPT = new highlightly_Grammar("javascript",["js","jsx","mjs"],[{ kind : "comment", pattern : "//[^\\n]*|/\\*[\\s\\S]*?\\*/"},{ kind : "string", pattern : "\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*'|`(?:\\\\[\\s\\S]|[^`\\\\])*`"},{ kind : "number", pattern : "\\b(?:0[xX][0-9a-fA-F]+|[0-9]+(?:\\.[0-9]+)?(?:[eE][+-]?[0-9]+)?)\\b"},{ kind : "keyword", pattern : "\\b(?:async|await|break|case|catch|class|const|continue|debugger|default|delete|do|else|export|extends|false|finally|for|function|if|import|in|instanceof|let|new|null|of|return|static|super|switch|this|throw|true|try|typeof|undefined|var|void|while|with|yield)\\b"},{ kind : "type", pattern : "\\b[A-Z][A-Za-z0-9_]*\\b"}]);
+highlightly_Grammars.JSON = new highlightly_Grammar("json",[],[{ kind : "attribute", pattern : "\"(?:\\\\.|[^\"\\\\\\n])*\"(?=\\s*:)"},{ kind : "string", pattern : "\"(?:\\\\.|[^\"\\\\\\n])*\""},{ kind : "number", pattern : "-?\\b[0-9]+(?:\\.[0-9]+)?(?:[eE][+-]?[0-9]+)?\\b"},{ kind : "keyword", pattern : "\\b(?:true|false|null)\\b"}]);
+highlightly_Grammars.PYTHON = new highlightly_Grammar("python",["py"],[{ kind : "comment", pattern : "#[^\\n]*"},{ kind : "string", pattern : "(?:\\b[rRbBuUfF]{1,2})?(?:\"\"\"[\\s\\S]*?\"\"\"|'''[\\s\\S]*?'''|\"(?:\\\\.|[^\"\\\\\\n])*\"|'(?:\\\\.|[^'\\\\\\n])*')"},{ kind : "meta", pattern : "^[ \\t]*@[\\w.]+"},{ kind : "number", pattern : "\\b(?:0[xX][0-9a-fA-F]+|[0-9]+(?:\\.[0-9]+)?(?:[eE][+-]?[0-9]+)?)\\b"},{ kind : "keyword", pattern : "\\b(?:False|None|True|and|as|assert|async|await|break|class|continue|def|del|elif|else|except|finally|for|from|global|if|import|in|is|lambda|nonlocal|not|or|pass|raise|return|try|while|with|yield)\\b"},{ kind : "type", pattern : "\\b[A-Z][A-Za-z0-9_]*\\b|\\b(?:bool|bytes|dict|float|int|list|object|set|str|tuple)\\b"}]);
+highlightly_Grammars.SHELL = new highlightly_Grammar("shell",["sh","bash","zsh","console"],[{ kind : "comment", pattern : "(?:^|[ \\t])#[^\\n]*"},{ kind : "string", pattern : "\"(?:\\\\[\\s\\S]|[^\"\\\\])*\"|'[^']*'"},{ kind : "variable", pattern : "\\$(?:\\{[^}\\n]*\\}|[A-Za-z_][A-Za-z0-9_]*|[0-9@#?$!*-])"},{ kind : "keyword", pattern : "\\b(?:case|do|done|elif|else|esac|export|fi|for|function|if|in|local|return|select|then|until|while)\\b"},{ kind : "number", pattern : "\\b[0-9]+\\b"}]);
+highlightly_Highlightly.grammars = highlightly_Highlightly.defaults();
+highlightly_Highlightly.RE_MARKUP = new EReg("<span[^>]*>|</span>|\n","g");
 js_Boot.__toStr = {}.toString;
 js_html_compat_Uint8Array.BYTES_PER_ELEMENT = 1;
-markdown_BlockSyntax.RE_EMPTY = new EReg("^([ \\t]*)$","");
-markdown_BlockSyntax.RE_SETEXT = new EReg("^((=+)|(-+))$","");
-markdown_BlockSyntax.RE_HEADER = new EReg("^(#{1,6})(.*?)#*$","");
-markdown_BlockSyntax.RE_BLOCKQUOTE = new EReg("^[ ]{0,3}>[ ]?(.*)$","");
-markdown_BlockSyntax.RE_INDENT = new EReg("^(?:    |\t)(.*)$","");
-markdown_BlockSyntax.RE_CODE = new EReg("^```(\\w*)\\s*$","");
-markdown_BlockSyntax.RE_HR = new EReg("^[ ]{0,3}((-+[ ]{0,2}){3,}|(_+[ ]{0,2}){3,}|(\\*+[ ]{0,2}){3,})$","");
-markdown_BlockSyntax.RE_HTML = new EReg("^<[ ]*\\w+[ >]","");
-markdown_BlockSyntax.RE_UL = new EReg("^[ ]{0,3}[*+-][ \\t]+(.*)$","");
-markdown_BlockSyntax.RE_OL = new EReg("^[ ]{0,3}\\d+\\.[ \\t]+(.*)$","");
+markdown_GitHubCodeBlockSyntax.RE_INFO = new EReg("([A-Za-z][\\w-]*)=\"([^\"]*)\"|\\{([^}]*)\\}|([^\\s{]+)","g");
+markdown_GitHubCodeBlockSyntax.RE_RANGES = new EReg("^[0-9]+(-[0-9]+)?([ ]*,[ ]*[0-9]+(-[0-9]+)?)*$","");
+markdown_GitHubCodeBlockSyntax.RE_LANGUAGE = new EReg("^[A-Za-z0-9_+#.-]+$","");
 markdown_TableSyntax.TABLE_PATTERN = new EReg("^(.+? +:?\\|:? +)+(.+)$","");
 markdown_TableSyntax.CELL_PATTERN = new EReg("(\\|)?([^\\|]+)(\\|)?","g");
-markdown_HtmlRenderer.BLOCK_TAGS = new EReg("blockquote|h1|h2|h3|h4|h5|h6|hr|p|pre","");
+markdown_HtmlRenderer.BLOCK_TAGS = new EReg("^(blockquote|figure|h1|h2|h3|h4|h5|h6|hr|p|pre)$","");
 markdown_HtmlRenderer.attributeOrder = ["src","alt"];
 markdown_LinkSyntax.linkPattern = "\\](?:(" + "\\s?\\[([^\\]]*)\\]" + "|" + "\\s?\\(([^ )]+)(?:[ ]*\"([^\"]+)\"|)\\)" + ")|)";
 markdown_ImgSyntax.linkPattern = "\\](?:(" + "\\s?\\[([^\\]]*)\\]" + "|" + "\\s?\\(([^ )]+)(?:[ ]*\"([^\"]+)\"|)\\)" + ")|)";
 markdown_InlineParser.defaultSyntaxes = [new markdown_AutolinkSyntaxWithoutBrackets(),new markdown_TextSyntax(" {2,}\n","<br />\n"),new markdown_TextSyntax("\\s*[A-Za-z0-9]+"),new markdown_AutolinkSyntax(),new markdown_LinkSyntax(),new markdown_ImgSyntax(),new markdown_TextSyntax(" \\* "),new markdown_TextSyntax(" _ "),new markdown_TextSyntax("&[#a-zA-Z0-9]*;"),new markdown_TextSyntax("&","&amp;"),new markdown_TextSyntax("</?\\w+.*?>"),new markdown_TextSyntax("<","&lt;"),new markdown_TagSyntax("\\*\\*","strong"),new markdown_TagSyntax("__","strong"),new markdown_TagSyntax("\\*","em"),new markdown_TagSyntax("\\b_","em","_\\b"),new markdown_CodeSyntax("``\\s?((?:.|\\n)*?)\\s?``"),new markdown_CodeSyntax("`([^`]*)`")];
 gitblog_GitBlog.main();
-})(typeof console != "undefined" ? console : {log:function(){}});
+})(typeof console != "undefined" ? console : {log:function(){}}, typeof window != "undefined" ? window : typeof exports != "undefined" ? exports : typeof self != "undefined" ? self : this);
@@ -0,0 +1,65 @@
+// Runs the CommonMark spec examples in `tools/fixtures/commonmark.json` against
+// Markdown.markdownToHtml and reports the pass rate of every spec section. The
+// fixture holds every example of the spec version it names, numbered as in the
+// spec, so failures can be looked up at https://spec.commonmark.org/.
+// Usage: node tools/commonmark.js [--strict] [--section <name>] [--verbose]
+var fs = require("fs");
+var path = require("path");
+var load = require("./sandbox");
+
+var args = process.argv.slice(2);
+var strict = args.indexOf("--strict") >= 0;
+var verbose = args.indexOf("--verbose") >= 0;
+var only = args.indexOf("--section") >= 0 ? args[args.indexOf("--section") + 1] : null;
+
+// Reduces both sides to a canonical form in the spirit of the spec's own
+// normalizer: whitespace around block tags is dropped, other whitespace runs
+// outside of <pre> collapse to a single space and void tags lose their slash.
+var BLOCK_TAG = /\s*(<\/?(?:blockquote|dd|div|dl|dt|figure|h[1-6]|hr|li|ol|p|pre|table|tbody|td|tfoot|th|thead|tr|ul)\b[^>]*>)\s*/g;
+
+function normalize(html) {
+	return html.replace(/\r\n?/g, "\n").split(/(<pre[\s>][\s\S]*?<\/pre>)/).map(function(part, i) {
+		if(i % 2 == 1) return part.replace(/\s*\/>/g, ">");
+		return part.replace(/\s*\/>/g, ">").replace(/\s+/g, " ");
+	}).join("").replace(BLOCK_TAG, "$1").trim();
+}
+
+var Markdown = load(["Markdown"]).Markdown;
+var spec = JSON.parse(fs.readFileSync(path.join(__dirname, "fixtures", "commonmark.json"), "utf8"));
+var examples = spec.examples;
+var sections = [];
+var results = {};
+var passed = 0;
+var total = 0;
+
+examples.forEach(function(example) {
+	if(only != null && example.section != only) return;
+	var actual = Markdown.markdownToHtml(example.markdown, strict);
+	var ok = normalize(actual) == normalize(example.html);
+	if(results[example.section] == null) {
+		sections.push(example.section);
+		results[example.section] = { passed : 0, total : 0 };
+	}
+	results[example.section].total++;
+	total++;
+	if(ok) {
+		results[example.section].passed++;
+		passed++;
+	} else if(verbose) {
+		console.log("Example " + example.example + " (" + example.section + ")");
+		console.log("  markdown: " + JSON.stringify(example.markdown));
+		console.log("  expected: " + JSON.stringify(example.html));
+		console.log("  actual:   " + JSON.stringify(actual));
+	}
+});
+
+function percent(part, whole) {
+	return (whole == 0 ? 0 : part * 100 / whole).toFixed(1) + "%";
+}
+
+console.log("CommonMark " + spec.version + ", " + (strict ? "strict" : "default") + " mode");
+sections.forEach(function(name) {
+	var result = results[name];
+	console.log("  " + name + ": " + result.passed + "/" + result.total + " (" + percent(result.passed, result.total) + ")");
+});
+console.log("Total: " + passed + "/" + total + " (" + percent(passed, total) + ")");
@@ -0,0 +1,103 @@
+// Checks how a gitblog_Connection reports requests that never get a response,
+// and that identical requests made at the same time share one response.
+// Browsers abort an XMLHttpRequest by firing readystatechange synchronously
+// with readyState 4 and status 0, and report network and CORS failures the
+// same way a moment later, which the fake request below reproduces.
+// Usage: node tools/connection.js
+var load = require("./sandbox");
+
+var sent = 0;
+
+function FakeRequest() {
+	this.readyState = 0;
+	this.status = 0;
+}
+FakeRequest.prototype.open = function(method, url) {
+	this.url = url;
+	this.readyState = 1;
+};
+FakeRequest.prototype.setRequestHeader = function() {};
+FakeRequest.prototype.send = function() {
+	var request = this;
+	sent++;
+	if(this.url.indexOf("unreachable") < 0 && this.url.indexOf("shared") < 0) return;
+	setTimeout(function() {
+		if(request.readyState == 4) return;
+		request.readyState = 4;
+		if(request.url.indexOf("shared") >= 0) {
+			request.status = 200;
+			request.responseText = "data";
+		}
+		if(request.onreadystatechange != null) request.onreadystatechange(null);
+	}, 0);
+};
+FakeRequest.prototype.getAllResponseHeaders = function() {
+	return "";
+};
+FakeRequest.prototype.abort = function() {
+	this.readyState = 4;
+	if(this.onreadystatechange != null) this.onreadystatechange(null);
+};
+
+var gitblog = load(["gitblog_Connection", "gitblog_ErrorKind"], {
+	XMLHttpRequest : FakeRequest,
+	setTimeout : setTimeout,
+	window : { location : { protocol : "https:" }, navigator : { onLine : true } }
+});
+
+function checkShared(name, start, requests) {
+	var before = sent;
+	Promise.all(start()).then(function(results) {
+		var ok = results.every(function(data) {
+			return data == "data";
+		});
+		if(ok && sent - before == requests) {
+			console.log("OK: " + name + " resolved with " + requests + " request" + (requests == 1 ? "" : "s"));
+			return;
+		}
+		console.log("FAIL: " + name + " resolved with " + JSON.stringify(results) + " after " + (sent - before) + " requests");
+		process.exitCode = 1;
+	}, function(error) {
+		console.log("FAIL: " + name + " rejected with " + error);
+		process.exitCode = 1;
+	});
+}
+
+function check(name, loading, kind) {
+	loading.then(function() {
+		console.log("FAIL: " + name + " resolved");
+		process.exitCode = 1;
+	}, function(error) {
+		if(error.kind == kind) {
+			console.log("OK: " + name + " rejected with " + error.kind);
+			return;
+		}
+		console.log("FAIL: " + name + " rejected with " + error);
+		process.exitCode = 1;
+	});
+}
+
+var connection = new gitblog.gitblog_Connection("https://api.github.com/users/dstrekelj");
+var loading = connection.get();
+connection.cancel();
+check("cancelled request", loading, gitblog.gitblog_ErrorKind.Cancelled);
+
+check("unreachable host", new gitblog.gitblog_Connection("https://unreachable.example/").get(), gitblog.gitblog_ErrorKind.Offline);
+
+var shared = "https://api.github.com/shared";
+checkShared("identical requests", function() {
+	return [new gitblog.gitblog_Connection(shared).get(), new gitblog.gitblog_Connection(shared).get()];
+}, 1);
+
+// Requests that are still running when the checks above finish would count
+// towards them, so the hand-off check waits for those first.
+setTimeout(function() {
+	checkShared("requests after a cancelled leader", function() {
+		var leader = new gitblog.gitblog_Connection(shared + "/leader");
+		var leaving = leader.get();
+		var staying = [new gitblog.gitblog_Connection(shared + "/leader").get(), new gitblog.gitblog_Connection(shared + "/leader").get()];
+		leader.cancel();
+		check("cancelled leader", leaving, gitblog.gitblog_ErrorKind.Cancelled);
+		return staying;
+	}, 2);
+}, 10);
@@ -0,0 +1,35 @@
+// Saves the GitHub API user response as the `profile.json` read by the "raw"
+// and "local" content sources. Run it from the site root.
+// Usage: node tools/fetch-profile.js <owner> [contentDirectory] [apiURL]
+var fs = require("fs");
+var https = require("https");
+var path = require("path");
+
+var owner = process.argv[2];
+var directory = process.argv[3] || "content";
+var apiURL = process.argv[4] || "https://api.github.com";
+
+if(owner == null) {
+	console.log("Usage: node tools/fetch-profile.js <owner> [contentDirectory] [apiURL]");
+	process.exit(1);
+}
+
+https.get(apiURL + "/users/" + encodeURIComponent(owner), { headers : { "User-Agent" : "gitblog", "Accept" : "application/vnd.github.v3+json" } }, function(response) {
+	var data = "";
+	response.setEncoding("utf8");
+	response.on("data", function(chunk) {
+		data += chunk;
+	});
+	response.on("end", function() {
+		if(response.statusCode != 200) {
+			console.log("ERROR: GitHub answered " + response.statusCode + " (" + data + ").");
+			process.exitCode = 1;
+			return;
+		}
+		fs.writeFileSync(path.join(directory, "profile.json"), JSON.stringify(JSON.parse(data), null, "\t") + "\n");
+		console.log("Wrote " + path.join(directory, "profile.json"));
+	});
+}).on("error", function(error) {
+	console.log("ERROR: " + error.message);
+	process.exitCode = 1;
+});
@@ -0,0 +1,33 @@
+// Generates the `index.json` article listing read by the content sources.
+// Front matter is parsed by gitblog_FrontMatter from gitblog.js itself, so the
+// listing always agrees with what the site reads from an article.
+// Run it from the site root.
+// Usage: node tools/generate-index.js [contentDirectory]
+var fs = require("fs");
+var path = require("path");
+var load = require("./sandbox");
+
+var directory = process.argv[2] || "content";
+var ignored = ["index.json", "profile.json"];
+// Article paths are read by the site relative to its root, so they are built
+// from the working directory with forward slashes on every platform.
+var relative = path.relative(process.cwd(), path.resolve(directory)).split(path.sep).join("/");
+if(relative == "" || relative.split("/")[0] == ".." || path.isAbsolute(relative)) {
+	console.log("ERROR: " + directory + " is not inside the current directory. Run this from the site root.");
+	process.exit(1);
+}
+
+var FrontMatter = load(["gitblog_FrontMatter"]).gitblog_FrontMatter;
+var entries = fs.readdirSync(directory).filter(function(name) {
+	return ignored.indexOf(name) < 0 && fs.statSync(path.join(directory, name)).isFile();
+}).sort().map(function(name) {
+	var entry = { name : name, path : path.posix.join(relative, name) };
+	var meta = FrontMatter.parse(fs.readFileSync(path.join(directory, name), "utf8")).data;
+	for(var key in meta) {
+		if(meta[key] != null) entry[key] = meta[key];
+	}
+	return entry;
+});
+
+fs.writeFileSync(path.join(directory, "index.json"), JSON.stringify(entries, null, "\t") + "\n");
+console.log("Wrote " + entries.length + " entries to " + path.join(directory, "index.json"));
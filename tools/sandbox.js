@@ -0,0 +1,19 @@
+// Loads gitblog.js for the tools in this directory.
+// gitblog.js is a closure that starts the blog when loaded, so the start call
+// is swapped for an export of the classes the tool asks for by their compiled
+// names, such as `gitblog_FrontMatter`. `globals` adds browser objects the
+// sandbox lacks, like `window` or `XMLHttpRequest`.
+var fs = require("fs");
+var path = require("path");
+var vm = require("vm");
+
+module.exports = function(names, globals) {
+	var source = fs.readFileSync(path.join(__dirname, "..", "gitblog.js"), "utf8");
+	var sandbox = { exports : {} };
+	for(var key in globals) sandbox[key] = globals[key];
+	var exported = names.map(function(name) {
+		return "exports." + name + " = " + name + ";";
+	}).join(" ");
+	vm.runInNewContext(source.replace("gitblog_GitBlog.main();", exported), sandbox);
+	return sandbox.exports;
+};
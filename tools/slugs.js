@@ -0,0 +1,68 @@
+// Checks the slugs the article list gives to articles, which are the article
+// part of every permalink. Letters outside ASCII are kept, and an article
+// whose title has no letters or digits at all falls back to its file name or
+// date, because the site cannot link to an empty slug. Tags get slugs of their
+// own, which only fold case and spacing, so "C#", "C++" and "C" stay apart.
+// Articles that share a slug are numbered by date and then file name, so the
+// numbers don't change with the order of the listing.
+// Usage: node tools/slugs.js
+var load = require("./sandbox");
+
+var gitblog = load(["gitblog_sources_GitHubApiSource", "gitblog_Catalog"]);
+
+function check(name, entry, slug) {
+	entry.path = "content/" + entry.name;
+	var articles = gitblog.gitblog_sources_GitHubApiSource.toArticlesModels([entry]);
+	var actual = articles.length == 0 ? null : articles[0].slug;
+	if(actual == slug) {
+		console.log("OK: " + name + " is " + JSON.stringify(slug));
+		return;
+	}
+	console.log("FAIL: " + name + " is " + JSON.stringify(actual) + " instead of " + JSON.stringify(slug));
+	process.exitCode = 1;
+}
+
+check("file name with diacritics", { name : "2016-01-01-Život-i-šah.md" }, "život-i-šah");
+check("file name without ASCII letters", { name : "2016-01-01-Ćšđ.md" }, "ćšđ");
+check("slug with diacritics", { name : "2016-01-01-glass.md", slug : "Čaša" }, "čaša");
+check("file name without letters", { name : "2016-01-01-!!!.md" }, "2016-01-01");
+check("slug without letters", { name : "2016-01-01-notes.md", slug : "?" }, "notes");
+check("title without letters", { name : "notes.md", date : "2016-01-01", title : "???" }, "2016-01-01");
+
+function checkSuffixes(name, entries, expected) {
+	[entries, entries.slice().reverse()].forEach(function(listing, i) {
+		var slugs = gitblog.gitblog_sources_GitHubApiSource.toArticlesModels(listing.map(function(entry) {
+			entry.path = "content/" + entry.name;
+			return entry;
+		})).map(function(article) {
+			return article.name + " " + article.slug;
+		}).sort().join(", ");
+		var order = i == 0 ? "" : " in reverse order";
+		if(slugs == expected) {
+			console.log("OK: " + name + order + " are " + slugs);
+			return;
+		}
+		console.log("FAIL: " + name + order + " are " + slugs + " instead of " + expected);
+		process.exitCode = 1;
+	});
+}
+
+checkSuffixes("shared slugs", [
+	{ name : "2016-01-02-a.md" },
+	{ name : "2016-01-03-a-2.md" },
+	{ name : "notes.md", date : "2016-01-01", slug : "a" }
+], "2016-01-02-a.md a-3, 2016-01-03-a-2.md a-2, notes.md a");
+
+var articles = [["C#"], ["C++", "Game Dev"], ["C", "game-dev"], ["čšž"]].map(function(tags) {
+	return { tags : tags };
+});
+var tags = gitblog.gitblog_Catalog.groupByTag(articles).map(function(tag) {
+	return tag.slug + " " + tag.count;
+}).sort().join(", ");
+var expected = "c 1, c# 1, c++ 1, game-dev 2, čšž 1";
+if(tags == expected) {
+	console.log("OK: tags are " + tags);
+} else {
+	console.log("FAIL: tags are " + tags + " instead of " + expected);
+	process.exitCode = 1;
+}